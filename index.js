@@ -0,0 +1,21 @@
+// Library entry point: requiring it has no side effects. The command-line
+// tool is subtitle-checker.js.
+const { SubtitleChecker, DEFAULTS } = require('./lib/checker');
+const { JobService, createServer } = require('./lib/server');
+const { StateLockError } = require('./lib/state');
+const { GitError } = require('./lib/git');
+const formats = require('./lib/formats');
+const providers = require('./lib/providers');
+const reporters = require('./lib/reporters');
+
+module.exports = {
+    SubtitleChecker,
+    DEFAULTS,
+    StateLockError,
+    GitError,
+    JobService,
+    createServer,
+    formats,
+    providers,
+    reporters
+};
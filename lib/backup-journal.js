@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST = 'manifest.json';
+
+function hashContent(content) {
+    return crypto.createHash('md5').update(content).digest('hex');
+}
+
+// Timestamped snapshots of every file a run modifies. Each run is a folder
+// with the original files and a manifest of what was changed:
+//
+//   .subtitle-checker-backups/2024-05-01T10-00-00-000Z/manifest.json
+//   .subtitle-checker-backups/2024-05-01T10-00-00-000Z/files/episodes/ep01.vtt
+//
+// Runs are never overwritten, so every earlier version of a file stays available.
+class BackupJournal {
+    constructor(journalDir) {
+        this.journalDir = journalDir;
+        this.run = null;
+        this.saving = Promise.resolve();
+    }
+
+    // The run folder is only created once the first file is recorded
+    startRun(action) {
+        if (!this.run) {
+            this.run = this.createRun(action);
+        }
+        return this.run;
+    }
+
+    async createRun(action) {
+        const baseId = new Date().toISOString().replace(/[:.]/g, '-');
+        let id = baseId;
+        for (let n = 1; await fs.pathExists(path.join(this.journalDir, id)); n++) {
+            id = `${baseId}-${n}`;
+        }
+
+        const run = { id, action, createdAt: new Date().toISOString(), files: [] };
+        await fs.ensureDir(path.join(this.journalDir, id));
+        return run;
+    }
+
+    // Snapshot a file before it is overwritten with `after`. `hasErrors` is what
+    // the state file should say about the snapshot once it is restored.
+    async record({ filename, filePath, after, changes = [], hasErrors = true, action = 'fix' }) {
+        const run = await this.startRun(action);
+        const original = await fs.readFile(filePath);
+
+        // Files outside the working directory still land inside the run folder
+        const snapshot = ['files', ...filename.split('/').filter(part => part !== '..')].join('/');
+        await fs.outputFile(path.join(this.journalDir, run.id, snapshot), original);
+
+        const entry = {
+            filename,
+            filePath,
+            snapshot,
+            hashBefore: hashContent(original),
+            hashAfter: hashContent(after),
+            hasErrors,
+            changes
+        };
+        run.files.push(entry);
+        await this.saveRun(run);
+
+        return { runId: run.id, snapshotPath: this.snapshotPath(run, entry), entry };
+    }
+
+    snapshotPath(run, entry) {
+        return path.join(this.journalDir, run.id, entry.snapshot);
+    }
+
+    // Manifest writes are queued so files finishing at the same time cannot interleave
+    saveRun(run) {
+        this.saving = this.saving.catch(() => {}).then(async () => {
+            const manifestPath = path.join(this.journalDir, run.id, MANIFEST);
+            const tempPath = `${manifestPath}.${process.pid}.tmp`;
+            await fs.outputJson(tempPath, run, { spaces: 2 });
+            await fs.move(tempPath, manifestPath, { overwrite: true });
+        });
+        return this.saving;
+    }
+
+    // Every run with a readable manifest, oldest first
+    async listRuns() {
+        if (!await fs.pathExists(this.journalDir)) return [];
+
+        const runs = [];
+        for (const id of (await fs.readdir(this.journalDir)).sort()) {
+            try {
+                runs.push(await fs.readJson(path.join(this.journalDir, id, MANIFEST)));
+            } catch (error) {
+                // A run interrupted before its first file was recorded has no manifest
+            }
+        }
+        return runs;
+    }
+
+    // The most recent run that changed files and has not been undone yet
+    async latestUndoableRun() {
+        const runs = await this.listRuns();
+        return runs.reverse().find(run => run.action !== 'restore' && !run.undoneAt) || null;
+    }
+
+    async currentRunId() {
+        return this.run ? (await this.run).id : null;
+    }
+
+    // `undoneBy` is the restore run that holds the versions the undo replaced
+    async markUndone(run, undoneBy) {
+        run.undoneAt = new Date().toISOString();
+        run.undoneBy = undoneBy;
+        await this.saveRun(run);
+    }
+
+    readSnapshot(run, entry) {
+        return fs.readFile(this.snapshotPath(run, entry));
+    }
+}
+
+module.exports = {
+    BackupJournal,
+    hashContent
+};
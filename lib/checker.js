@@ -0,0 +1,1906 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const formats = require('./formats');
+const { createFilePatch, parsePatchFile, applyFilePatch } = require('./patch');
+const { createProvider } = require('./providers');
+const { chunkCues, chunkSelectedCues, mergeAnalyses, sumUsage } = require('./chunking');
+const { withRetry } = require('./retry');
+const RateLimiter = require('./rate-limiter');
+const Semaphore = require('./semaphore');
+const ResponseCache = require('./response-cache');
+const { findDictionary, listDictionaries, loadDictionary } = require('./spellcheck');
+const { GLOSSARY_FILENAME, Glossary, readGlossary, directoryChain } = require('./glossary');
+const { getReportWriter, writeReports } = require('./reporters');
+const { resolveInputs } = require('./files');
+const { changedFiles, changedCues } = require('./git');
+const { BackupJournal } = require('./backup-journal');
+const { CorrectionGuard, validateResponse, partitionCorrections } = require('./validation');
+const { checkQuality, loadProfile } = require('./qc');
+const { loadStyleGuide } = require('./style');
+const { checkConsistency } = require('./consistency');
+const { VERIFY_MODES, DEFAULT_MIN_CONFIDENCE, scoreByConsensus, validateVerdicts, scoreByConfirmation, unconfirmed } = require('./verification');
+const { resolveLanguage } = require('./language');
+const { StateStore, stateKey } = require('./state');
+const { Pricing, TokenBudget, estimatePromptTokens, estimateCompletionTokens } = require('./cost');
+const { version } = require('../package.json');
+
+const DEFAULT_SUBTITLES_DIR = 'subtitles';
+
+// Recorded with every file in the state file; bump it when the prompt or the
+// way responses are read changes, so files checked the old way are checked again
+const PROMPT_VERSION = 2;
+
+// Options the checker falls back to; relative paths resolve against `cwd`,
+// the process's working directory unless given. Everything else (model,
+// base URL, output folder, ...) is unset unless given.
+const DEFAULTS = {
+    command: 'fix',
+    stateFile: '.subtitle-checker-state.json',
+    backupDir: '.subtitle-checker-backups',
+    run: null,
+    provider: 'openrouter',
+    concurrency: 3,
+    chunkTokens: 1500,
+    chunkOverlap: 2,
+    retries: 3,
+    rateLimit: 0,
+    cacheDir: '.subtitle-checker-cache',
+    dictionaries: 'dictionaries',
+    dictionaryLanguage: null,
+    language: null,
+    glossary: GLOSSARY_FILENAME,
+    spellcheck: null,
+    qcProfile: null,
+    patch: null,
+    verify: null,
+    minConfidence: DEFAULT_MIN_CONFIDENCE,
+    report: [],
+    reportDir: 'reports'
+};
+
+// Options left undefined or null take their default
+function withDefaults(options) {
+    const given = Object.entries(options).filter(([, value]) => value !== undefined && value !== null);
+    return { ...DEFAULTS, ...Object.fromEntries(given) };
+}
+
+// A JSON reply, also when the model wrapped it in a markdown code block
+function parseJsonReply(content) {
+    const jsonMatch = content.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
+    return JSON.parse(jsonMatch ? jsonMatch[1] : content);
+}
+
+// The requests an analysis or a report entry was billed for, with the model
+// that answered each; cached responses were paid for by an earlier run
+function billedCalls(entry) {
+    const calls = entry.verification
+        ? entry.verification.calls
+        : [{ model: entry.model, usage: entry.usage, cached: entry.cached }];
+    return calls.filter(call => call.usage && !call.cached);
+}
+
+// Every window answered; a file with windows that failed was only partly checked
+function isFullyAnalysed(analysis) {
+    return analysis.status === 'success' && !(analysis.failedWindows && analysis.failedWindows.length > 0);
+}
+
+// What went wrong with a file that was only partly checked
+function describeFailedWindows(analysis) {
+    const [first] = analysis.failedWindows;
+    return `${analysis.failedWindows.length} of ${analysis.windows} windows could not be analysed ` +
+        `(window ${first.window}: ${first.message})`;
+}
+
+// A report entry's findings that are still in the file after the run: not
+// written by it, and not suggestions below the confidence needed to apply one
+function outstandingFindings(file, minConfidence) {
+    const key = correction => `${Number(correction.cue)}|${correction.original}|${correction.corrected}`;
+    const written = new Set(file.dryRun ? [] : file.applied.map(key));
+    return file.findings.filter(finding => !written.has(key(finding)) && !(finding.confidence < minConfidence));
+}
+
+// "spelling, grammar" or ['spelling', 'grammar']
+function listSetting(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Checks subtitle files and reports progress as events instead of printing:
+//
+//   setup, state-loaded, files-found, subtitles-dir-created
+//   file-start, file-language, file-changes, file-qc, file-windows, file-empty
+//   corrections-start, correction-applied, correction-skipped, correction-suggested, corrections-done
+//   file-done, file-error, retry, warning, failure, consistency
+//   file-patched, file-restored, undo-start, reports-written, done
+//
+// "warning" and "failure" carry a message (and the error for failures); the
+// rest carry the filename and what happened. Nothing is printed and nothing
+// is read from process.env, so the checker can be embedded; the CLI is one
+// listener among others.
+class SubtitleChecker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        const settings = withDefaults(options);
+        // Input paths, settings files, state keys and git all start from here
+        this.cwd = path.resolve(settings.cwd || process.cwd());
+        const resolve = file => path.resolve(this.cwd, file);
+
+        // check: report only; fix: write corrections (or patches in a dry run)
+        this.command = settings.command;
+        this.usingDefaultInputs = !settings.paths || settings.paths.length === 0;
+        this.inputs = this.usingDefaultInputs ? [DEFAULT_SUBTITLES_DIR] : settings.paths;
+        this.stateFile = resolve(settings.stateFile);
+        this.stateStore = new StateStore(this.stateFile);
+        this.outputDir = settings.outputDir ? resolve(settings.outputDir) : null;
+        this.journal = new BackupJournal(resolve(settings.backupDir));
+        this.restoreRun = settings.run;
+        const providerOptions = {
+            model: settings.model,
+            baseUrl: settings.baseUrl,
+            apiKey: settings.apiKey,
+            temperature: settings.temperature,
+            maxTokens: settings.maxTokens,
+            responsesDir: settings.mockDir,
+            cwd: this.cwd
+        };
+        this.provider = createProvider(settings.provider, providerOptions);
+        // Corrections scored by more models, or by the model itself, before
+        // they are written; the ones below minConfidence become suggestions
+        this.verifiers = listSetting(settings.verifyModels)
+            .map(model => createProvider(settings.provider, { ...providerOptions, model }));
+        this.verifyMode = settings.verify || (this.verifiers.length > 0 ? 'consensus' : null);
+        this.minConfidence = settings.minConfidence;
+        this.results = [];
+        this.fixedFiles = [];
+        this.skippedFiles = [];
+        this.maxConcurrency = settings.concurrency;
+        this.chunkTokens = settings.chunkTokens;
+        this.chunkOverlap = settings.chunkOverlap;
+        this.requestSemaphore = new Semaphore(this.maxConcurrency); // Shared by every API request, across files and windows
+        this.maxRetries = settings.retries;
+        this.rateLimiter = new RateLimiter(settings.rateLimit);
+        this.budget = new TokenBudget({ perFile: settings.maxFileTokens, perRun: settings.maxRunTokens });
+        this.pricingFile = settings.pricing && resolve(settings.pricing);
+        this.pricing = new Pricing();
+        this.responseCache = new ResponseCache(
+            resolve(settings.cacheDir),
+            { enabled: settings.cache !== false && this.provider.cacheable !== false }
+        );
+        this.dictionaryDir = resolve(settings.dictionaries);
+        // Without an explicit dictionary language each file uses the dictionary for its own language
+        this.dictionaryLanguage = settings.dictionaryLanguage;
+        this.language = settings.language;
+        this.dictionaries = new Map();
+        this.glossaryFile = resolve(settings.glossary);
+        this.glossaries = new Map();
+        this.correctionGuard = new CorrectionGuard({
+            allowedTypes: listSetting(settings.allowedTypes),
+            maxEditDistance: settings.maxEditDistance,
+            maxLengthChange: settings.maxLengthChange
+        });
+        // 'only': offline dictionary check, no model; 'first-pass': dictionary, then model
+        this.spellcheckMode = settings.spellcheck;
+        this.forceReprocess = Boolean(settings.force);
+        // Git mode: only the files changed since a revision, or staged for
+        // the next commit, and within them only the changed cues
+        this.gitSince = settings.since;
+        this.gitStaged = Boolean(settings.staged);
+        this.allCues = Boolean(settings.allCues);
+        // Timing and layout QC runs when a profile is chosen (qc: true uses "default")
+        this.qcProfileName = settings.qcProfile || (settings.qc ? 'default' : null);
+        this.qcProfile = null;
+        // House style rules, enforced and added to the prompt when a profile is given
+        this.styleProfileFile = settings.styleProfile && resolve(settings.styleProfile);
+        this.styleGuide = null;
+        // Spellings and parallel tracks compared across all files after the run
+        this.consistencyCheck = Boolean(settings.consistency);
+        this.maxDriftMs = settings.maxDrift;
+        this.consistency = null;
+        this.prepared = null;
+        this.patchFile = settings.patch; // Write one combined .patch instead of a diff per file
+        this.dryRun = Boolean(settings.dryRun || this.patchFile);
+        this.applyFixes = this.command === 'fix' && !this.dryRun;
+        this.patchDir = resolve('patches');
+        this.patches = [];
+        this.patchOutputs = [];
+        this.reportFormats = listSetting(settings.report);
+        this.reportFormats.forEach(getReportWriter); // Fail early on an unknown format
+        this.reportDir = resolve(settings.reportDir);
+        this.reportOutputs = [];
+        this.state = {};
+    }
+
+    // Check the input files and return the report, or null when the default
+    // subtitles folder did not exist and had to be created
+    async run() {
+        await this.prepare();
+
+        const check = async () => {
+            const files = await this.resolveFiles();
+            if (files === null) {
+                return null;
+            }
+
+            await this.processVTTFiles(files);
+            await this.checkConsistency(files);
+            await this.writePatches();
+            if (!this.gitStaged) {
+                await this.saveState();
+            }
+            await this.writeReports();
+            return this.buildReport();
+        };
+
+        // A staged check reads the index rather than the working tree and
+        // skips the state, so a pre-commit hook leaves no file behind for
+        // the next commit to pick up
+        const report = this.gitStaged ? await check() : await this.withStateLock(async () => {
+            // Load previous processing state
+            await this.loadState();
+            return check();
+        });
+
+        if (report) {
+            this.emit('done', { report });
+        }
+        return report;
+    }
+
+    // Commands that load and save the state file hold its lock throughout, so
+    // a second run fails with a StateLockError instead of overwriting the
+    // first one's results
+    async withStateLock(task) {
+        await this.stateStore.lock();
+        try {
+            return await task();
+        } finally {
+            await this.stateStore.unlock();
+        }
+    }
+
+    // Provider fallback, verification, QC profile, style profile and prices,
+    // once per checker; throws when the verification settings do not fit
+    // together or one of the profiles or the pricing file cannot be loaded
+    prepare() {
+        if (!this.prepared) {
+            this.prepared = this.loadSetup();
+        }
+        return this.prepared;
+    }
+
+    async loadSetup() {
+        this.checkVerification();
+        this.checkGitMode();
+
+        let fallback = false;
+        const providerConfigured = this.provider.isConfigured();
+        if (!providerConfigured && this.spellcheckMode !== 'only') {
+            const hasDictionary = this.dictionaryLanguage
+                ? await findDictionary(this.dictionaryDir, this.dictionaryLanguage)
+                : (await listDictionaries(this.dictionaryDir)).length > 0;
+            if (hasDictionary) {
+                this.spellcheckMode = 'only';
+                fallback = true;
+            }
+        }
+
+        if (this.qcProfileName) {
+            this.qcProfile = await loadProfile(this.qcProfileName, this.cwd);
+        }
+        if (this.styleProfileFile) {
+            this.styleGuide = await loadStyleGuide(this.styleProfileFile);
+        }
+        this.pricing = await Pricing.load(this.pricingFile);
+
+        this.emit('setup', {
+            provider: this.provider.describe(),
+            providerConfigured,
+            fallback,
+            spellcheckMode: this.spellcheckMode,
+            dictionaryLanguage: this.dictionaryLanguage,
+            dictionaryDir: this.dictionaryDir,
+            qcProfile: this.qcProfile,
+            styleGuide: this.styleGuide,
+            verification: this.verificationSettings()
+        });
+    }
+
+    // The models that score corrections and the confidence needed to apply one
+    verificationSettings() {
+        if (!this.verifyMode || this.spellcheckMode === 'only') return null;
+        const models = this.verifyMode === 'consensus'
+            ? [this.provider, ...this.verifiers].map(provider => provider.model)
+            : [this.provider.model];
+        return { mode: this.verifyMode, models, minConfidence: this.minConfidence };
+    }
+
+    checkVerification() {
+        if (!(this.minConfidence >= 0 && this.minConfidence <= 1)) {
+            throw new Error(`Minimum confidence must be between 0 and 1, got ${this.minConfidence}`);
+        }
+        if (!this.verifyMode) return;
+        if (!VERIFY_MODES.includes(this.verifyMode)) {
+            throw new Error(`Unknown verify mode "${this.verifyMode}" (available: ${VERIFY_MODES.join(', ')})`);
+        }
+        if (this.verifyMode === 'consensus' && this.verifiers.length === 0) {
+            throw new Error('Consensus needs at least one model to compare with (--verify-models)');
+        }
+        if (this.verifyMode === 'confirm' && this.verifiers.length > 0) {
+            throw new Error('Confirm asks the checking model itself; --verify-models is for consensus');
+        }
+    }
+
+    gitMode() {
+        return Boolean(this.gitSince || this.gitStaged);
+    }
+
+    checkGitMode() {
+        if (this.gitSince && this.gitStaged) {
+            throw new Error('Pick either --since or --staged, not both');
+        }
+        // The staged text is not the file on disk, so nothing may be written over it
+        if (this.gitStaged && (this.command !== 'check' || this.dryRun || this.outputDir)) {
+            throw new Error('Staged files can only be checked, not fixed (use the check or pre-commit command)');
+        }
+    }
+
+    // 0: clean, 1: spelling/grammar, QC or consistency issues left, 2: a file could not be processed
+    getExitCode() {
+        const report = this.buildReport();
+        if (report.totals.failed > 0) return 2;
+        const outstanding = report.files.reduce((sum, file) => sum + outstandingFindings(file, this.minConfidence).length, 0);
+        return outstanding + report.totals.qc + report.totals.consistency > 0 ? 1 : 0;
+    }
+
+    async loadState() {
+        try {
+            const entries = await this.stateStore.load();
+            this.state = {};
+            if (entries) {
+                // Older state files were keyed by however the path was written
+                for (const [filename, entry] of Object.entries(entries)) {
+                    this.state[stateKey(filename, this.cwd)] = entry;
+                }
+                this.emit('state-loaded', { files: Object.keys(this.state).length });
+            }
+        } catch (error) {
+            this.emit('warning', { message: 'Could not load state file, starting fresh' });
+            this.state = {};
+        }
+    }
+
+    async saveState() {
+        try {
+            await this.stateStore.save(this.state);
+        } catch (error) {
+            this.emit('failure', { message: 'Error saving state', error });
+        }
+    }
+
+    hashContent(content) {
+        return crypto.createHash('md5').update(content).digest('hex');
+    }
+
+    // The staged text in git mode, or the file on disk
+    async getFileHash(filePath, content) {
+        if (content !== undefined) {
+            return this.hashContent(content);
+        }
+        try {
+            return this.hashContent(await fs.readFile(filePath));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // State keys and console output use the normalised path relative to the working directory
+    displayName(filePath) {
+        return stateKey(filePath, this.cwd);
+    }
+
+    // What a file's result depends on besides its content. The model and the
+    // prompt version are kept as they are so the reason for a re-check can
+    // name them; the other settings only as a hash.
+    async checkSettings(file) {
+        const glossary = await this.getGlossary(file);
+        const settings = {
+            spellcheckMode: this.spellcheckMode,
+            dictionaryLanguage: this.dictionaryLanguage,
+            language: this.language,
+            temperature: this.provider.temperature,
+            chunkTokens: this.chunkTokens,
+            chunkOverlap: this.chunkOverlap,
+            guard: this.correctionGuard,
+            qcProfile: this.qcProfile,
+            style: this.styleGuide,
+            verification: this.verificationSettings(),
+            glossary: { protectedTerms: glossary.protectedTerms, preferred: glossary.preferred }
+        };
+        return {
+            // A dictionary-only check does not use the model
+            model: this.spellcheckMode === 'only' ? null : `${this.provider.name}/${this.provider.model}`,
+            promptVersion: PROMPT_VERSION,
+            configHash: crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').slice(0, 16)
+        };
+    }
+
+    // Returns null when the default subtitles folder had to be created
+    async resolveFiles() {
+        if (this.gitMode()) {
+            return this.resolveChangedFiles();
+        }
+        const subtitlesDir = path.resolve(this.cwd, DEFAULT_SUBTITLES_DIR);
+        if (this.usingDefaultInputs && !await fs.pathExists(subtitlesDir)) {
+            await fs.ensureDir(subtitlesDir);
+            this.emit('subtitles-dir-created', { dir: subtitlesDir });
+            return null;
+        }
+
+        const { files, missing } = await resolveInputs(this.inputs, {
+            isSupported: filePath => formats.isSupportedFile(filePath),
+            cwd: this.cwd
+        });
+        for (const input of missing) {
+            this.emit('warning', { message: `No such file, folder or matching files: ${input}` });
+        }
+
+        return files.map(file => ({ ...file, filename: this.displayName(file.filePath) }));
+    }
+
+    // The subtitle files git reports as changed, limited to the input paths
+    // when some were given. Each file carries the lines that changed, unless
+    // every cue is to be checked, and its staged text in a pre-commit check.
+    async resolveChangedFiles() {
+        const isSupported = filePath => formats.isSupportedFile(filePath);
+        const { root, files } = await changedFiles({ since: this.gitSince, staged: this.gitStaged, cwd: this.cwd, isSupported });
+
+        let roots = null;
+        if (!this.usingDefaultInputs) {
+            const inputs = await resolveInputs(this.inputs, { isSupported, cwd: this.cwd });
+            for (const input of inputs.missing) {
+                this.emit('warning', { message: `No such file, folder or matching files: ${input}` });
+            }
+            roots = new Map(inputs.files.map(file => [file.filePath, file.root]));
+        }
+
+        return files
+            .filter(file => !roots || roots.has(file.filePath))
+            .map(file => ({
+                filePath: file.filePath,
+                root: roots ? roots.get(file.filePath) : root,
+                filename: this.displayName(file.filePath),
+                changedLines: this.allCues ? null : file.lines,
+                content: file.content
+            }));
+    }
+
+    async shouldProcessFile(file) {
+        if (this.forceReprocess) {
+            return { should: true, reason: 'forced reprocessing' };
+        }
+        // Git decides what changed, so a runner without the state file checks the same files
+        if (this.gitStaged) {
+            return { should: true, reason: 'staged' };
+        }
+        if (this.gitSince) {
+            return { should: true, reason: `changed since ${this.gitSince}` };
+        }
+
+        try {
+            const currentHash = await this.getFileHash(file.filePath);
+            const fileState = this.state[file.filename];
+
+            if (!fileState) {
+                return { should: true, reason: 'new file' };
+            }
+
+            if (fileState.hash !== currentHash) {
+                return { should: true, reason: 'file modified' };
+            }
+
+            const settings = await this.checkSettings(file);
+            if (!fileState.configHash) {
+                return { should: true, reason: 'no recorded settings' };
+            }
+            if (fileState.model !== settings.model) {
+                return { should: true, reason: 'model changed' };
+            }
+            if (fileState.promptVersion !== settings.promptVersion) {
+                return { should: true, reason: 'prompt changed' };
+            }
+            if (fileState.configHash !== settings.configHash) {
+                return { should: true, reason: 'settings changed' };
+            }
+
+            // A check or dry run found errors that were never written back
+            if (this.applyFixes && fileState.hasErrors) {
+                return { should: true, reason: 'has unfixed errors' };
+            }
+
+            return { should: false, reason: 'already processed and unchanged' };
+        } catch (error) {
+            return { should: true, reason: 'error checking file state' };
+        }
+    }
+
+    async processVTTFiles(subtitleFiles) {
+        try {
+            // Check which files need processing
+            const filesToProcess = [];
+            const skippedFiles = this.skippedFiles;
+
+            for (const file of subtitleFiles) {
+                const shouldProcess = await this.shouldProcessFile(file);
+                
+                if (shouldProcess.should) {
+                    filesToProcess.push({ ...file, reason: shouldProcess.reason });
+                } else {
+                    skippedFiles.push({ filename: file.filename, reason: shouldProcess.reason });
+                }
+            }
+
+            this.emit('files-found', {
+                files: subtitleFiles.map(file => file.filename),
+                toProcess: filesToProcess.map(({ filename, reason }) => ({ filename, reason })),
+                skipped: skippedFiles
+            });
+
+            // Process files in parallel with controlled concurrency
+            await this.processFilesInParallel(filesToProcess);
+
+        } catch (error) {
+            this.emit('failure', { message: 'Error reading subtitle files', error });
+        }
+    }
+
+    async processFilesInParallel(files) {
+        const semaphore = new Semaphore(this.maxConcurrency);
+        const promises = files.map(file => 
+            semaphore.acquire().then(async (release) => {
+                try {
+                    await this.checkVTTFile(file);
+                } finally {
+                    release();
+                }
+            })
+        );
+
+        await Promise.all(promises);
+    }
+
+    async checkVTTFile(file) {
+        const { filename, filePath } = file;
+        
+        try {
+            this.emit('file-start', { filename, reason: file.reason });
+            
+            const { format, document, subtitleText } = await this.readSubtitle(filePath, file.content);
+            
+            if (!subtitleText || subtitleText.trim().length === 0) {
+                this.emit('file-empty', { filename });
+                return null;
+            }
+
+            const language = this.fileLanguage(filePath, document, subtitleText);
+            if (language) {
+                this.emit('file-language', { filename, language });
+            }
+
+            const changed = file.changedLines ? changedCues(document, file.changedLines) : null;
+            if (changed) {
+                this.emit('file-changes', { filename, cues: changed.size, total: document.cues.length });
+            }
+
+            const qc = this.onlyChanged(this.qcProfile ? checkQuality(document, this.qcProfile, language && language.code) : [], changed);
+            if (qc.length > 0) {
+                this.emit('file-qc', { filename, findings: qc });
+            }
+
+            const glossary = await this.getGlossary(file);
+            const context = { filename, glossary, language, changedCues: changed };
+
+            // Files whose estimate does not fit the token budget are not sent
+            const budget = file.budget || this.budget;
+            const estimate = this.provider.isConfigured() ? await this.estimateDocument(document, context) : null;
+            const overBudget = estimate && budget.reserve(estimate.total_tokens);
+            if (overBudget) {
+                const result = this.addResult({
+                    filename,
+                    filePath,
+                    format: format.label,
+                    language,
+                    analysis: { status: 'skipped', message: `Over budget: ${overBudget}` },
+                    findings: [],
+                    qc,
+                    estimate,
+                    originalLength: subtitleText.length
+                });
+                this.emit('file-done', { filename, result: this.reportEntry(result) });
+                return result;
+            }
+
+            const rawAnalysis = await this.analyzeDocument(document, context);
+            if (estimate) {
+                budget.settle(estimate.total_tokens, this.spentTokens(rawAnalysis));
+            }
+            const analysis = this.changedCuesOnly(
+                this.applyStyle(this.applyGlossary(this.guardCorrections(rawAnalysis), document, glossary), document, language),
+                changed
+            );
+            // Locate findings before any correction changes the cues
+            const findings = this.locateFindings(document, analysis.corrections || []);
+            
+            // Only a file checked in full is recorded as processed; one skipped,
+            // failed or with windows that failed is checked again next run
+            if (isFullyAnalysed(analysis)) {
+                const fileHash = await this.getFileHash(filePath, file.content);
+                this.state[filename] = {
+                    hash: fileHash,
+                    ...await this.checkSettings(file),
+                    lastProcessed: new Date().toISOString(),
+                    hasErrors: (analysis.corrections || []).length > 0
+                };
+            } else {
+                delete this.state[filename];
+            }
+            
+            // If analysis was successful and contains corrections, apply them
+            if (analysis.status === 'success' && analysis.corrections && analysis.corrections.length > 0) {
+                const fixResult = await this.applyCorrections(file, document, analysis.corrections);
+                const result = this.addResult({
+                    filename,
+                    filePath,
+                    format: format.label,
+                    language,
+                    analysis,
+                    findings,
+                    qc,
+                    estimate,
+                    originalLength: subtitleText.length,
+                    fixResult
+                });
+                
+                // Update hash after corrections
+                // A copy in --output-dir leaves the original, and its errors, where they were
+                if (this.state[filename] && fixResult.success && fixResult.changesCount > 0 && !fixResult.dryRun && !fixResult.outputPath) {
+                    this.state[filename].hash = await this.getFileHash(filePath);
+                    this.state[filename].hasErrors = false;
+                }
+                this.emit('file-done', { filename, result: this.reportEntry(result) });
+                return result;
+            } else {
+                const result = this.addResult({
+                    filename,
+                    filePath,
+                    format: format.label,
+                    language,
+                    analysis,
+                    findings,
+                    qc,
+                    estimate,
+                    originalLength: subtitleText.length
+                });
+                this.emit('file-done', { filename, result: this.reportEntry(result) });
+                return result;
+            }
+
+        } catch (error) {
+            const result = {
+                filename,
+                filePath,
+                error: error.message
+            };
+            this.results.push(result);
+            this.emit('file-error', { filename, error, result: this.reportEntry(result) });
+            return result;
+        }
+    }
+
+    // One file outside of a run, for the job service: returns its report entry,
+    // or null when it has no text, and keeps nothing of it in this checker.
+    // Each file is a run of its own, with a token budget of its own.
+    async checkFile(file) {
+        const budget = new TokenBudget({ perFile: this.budget.perFile, perRun: this.budget.perRun });
+        const result = await this.checkVTTFile({ ...file, budget });
+        this.results = this.results.filter(entry => entry !== result);
+        this.fixedFiles = this.fixedFiles.filter(entry => entry.filename !== file.filename);
+        delete this.state[file.filename];
+        return result ? this.reportEntry(result) : null;
+    }
+
+    // Spellings and parallel tracks compared across all input files, including
+    // the ones skipped as unchanged. Files are read as they are after the
+    // fixes, from --output-dir when the corrections went there. In git mode
+    // the input files are the changed ones, staged ones as staged.
+    async checkConsistency(files) {
+        if (!this.consistencyCheck) return;
+
+        // Files that could not be read have already been reported
+        const failed = new Set(this.results.filter(result => result.error).map(result => result.filename));
+        const tracks = [];
+        let glossary = new Glossary();
+        for (const file of files.filter(entry => !failed.has(entry.filename))) {
+            const copy = this.fixedFiles.find(fixed => fixed.filename === file.filename && fixed.outputPath);
+            const filePath = copy ? copy.outputPath : file.filePath;
+            try {
+                const { document, subtitleText } = await this.readSubtitle(filePath, copy ? null : file.content);
+                const language = this.fileLanguage(filePath, document, subtitleText);
+                tracks.push({ filename: file.filename, filePath, language: language && language.code, document });
+                glossary = glossary.merge(await this.getGlossary(file));
+            } catch (error) {
+                this.emit('warning', { filename: file.filename, message: `Could not compare ${file.filename} with the other files: ${error.message}` });
+            }
+        }
+
+        this.consistency = checkConsistency(tracks, { protectedTerms: glossary.protectedTerms, maxDriftMs: this.maxDriftMs });
+        this.emit('consistency', { files: tracks.length, ...this.consistency });
+    }
+
+    // Findings and corrections on the changed cues only, when only those are
+    // checked; the dictionary, glossary, style and QC checks see every cue
+    onlyChanged(list, changed) {
+        return changed ? list.filter(item => changed.has(Number(item.cue))) : list;
+    }
+
+    changedCuesOnly(analysis, changed) {
+        if (!changed || analysis.status !== 'success') return analysis;
+        return {
+            ...analysis,
+            corrections: this.onlyChanged(analysis.corrections || [], changed),
+            ...(analysis.suppressed ? { suppressed: this.onlyChanged(analysis.suppressed, changed) } : {}),
+            ...(analysis.rejected ? { rejected: this.onlyChanged(analysis.rejected, changed) } : {})
+        };
+    }
+
+    // The last result is kept in the state file so "report" can show it without a new run
+    addResult(result) {
+        this.results.push(result);
+        if (this.state[result.filename]) {
+            this.state[result.filename].lastResult = result;
+        }
+        return result;
+    }
+
+    // Corrections that name a cue this file does not have are not findings;
+    // they still show up as not applied
+    locateFindings(document, corrections) {
+        return corrections.map((correction) => {
+            const location = formats.locateCorrection(document, correction);
+            if (!location) return null;
+            return {
+                ...correction,
+                line: location.line,
+                column: location.column,
+                endColumn: location.endColumn,
+                start: location.cue.start,
+                end: location.cue.end
+            };
+        }).filter(Boolean);
+    }
+
+    // `content` is the text to read instead of the file, such as its staged version
+    async readSubtitle(filePath, content = null) {
+        if (content === null || content === undefined) {
+            content = await fs.readFile(filePath, 'utf8');
+        }
+        const format = formats.detectFormat(filePath, content);
+        if (!format) {
+            throw new Error('Unsupported subtitle format');
+        }
+
+        const document = formats.parseSubtitle(content, format);
+        return { format, document, subtitleText: this.extractText(document) };
+    }
+
+    fileLanguage(filePath, document, subtitleText) {
+        return resolveLanguage({
+            filePath,
+            headerLanguage: formats.getHeaderLanguage(document),
+            configured: this.language,
+            text: subtitleText
+        });
+    }
+
+    extractText(document) {
+        // Cue text is already stripped of markup by the format parser
+        return document.cues
+            .map(cue => cue.text.replace(/\n/g, ' '))
+            .filter(text => text.length > 0)
+            .join(' ');
+    }
+
+    async analyzeDocument(document, context) {
+        const dictionaryAnalysis = this.spellcheckMode ? await this.analyzeWithDictionary(document, context.language) : null;
+        if (this.spellcheckMode === 'only') {
+            return dictionaryAnalysis;
+        }
+
+        const analysis = await this.analyzeInWindows(document, context);
+        return dictionaryAnalysis ? this.combineAnalyses(dictionaryAnalysis, analysis) : analysis;
+    }
+
+    // Global glossary, then glossary.txt in every folder from the input
+    // folder down to the file's own folder; closer files win
+    async getGlossary(file) {
+        let glossary = await this.loadGlossaryFile(this.glossaryFile);
+        for (const dir of directoryChain(file.root, path.dirname(file.filePath))) {
+            const glossaryPath = path.join(dir, GLOSSARY_FILENAME);
+            if (glossaryPath !== this.glossaryFile) {
+                glossary = glossary.merge(await this.loadGlossaryFile(glossaryPath));
+            }
+        }
+        return glossary;
+    }
+
+    loadGlossaryFile(glossaryPath) {
+        if (!this.glossaries.has(glossaryPath)) {
+            this.glossaries.set(glossaryPath, readGlossary(glossaryPath).catch((error) => {
+                this.emit('warning', { message: `Could not read glossary ${glossaryPath}: ${error.message}` });
+                return new Glossary();
+            }));
+        }
+        return this.glossaries.get(glossaryPath);
+    }
+
+    // Corrections that could damage the file (timing, headers, markup) or that
+    // go past the edit limits are never applied; they are reported with a reason
+    guardCorrections(analysis) {
+        if (analysis.status !== 'success') return analysis;
+
+        const { accepted, rejected } = this.correctionGuard.filter(analysis.corrections || []);
+        return { ...analysis, corrections: accepted, rejected: (analysis.rejected || []).concat(rejected) };
+    }
+
+    // Drop corrections that would change a protected term and add the ones
+    // that enforce preferred spellings
+    applyGlossary(analysis, document, glossary) {
+        if (analysis.status !== 'success' || glossary.isEmpty()) return analysis;
+
+        const corrections = [];
+        const suppressed = [];
+        for (const correction of analysis.corrections || []) {
+            const term = glossary.findProtectedTerm(correction);
+            if (term) {
+                suppressed.push({ ...correction, reason: `protected glossary term "${term}"` });
+            } else {
+                corrections.push(correction);
+            }
+        }
+
+        // Each occurrence needs its own correction; skip the ones the model already made
+        const key = c => `${c.cue}|${c.original}|${c.corrected}`;
+        const alreadyMade = new Map();
+        for (const correction of corrections) {
+            alreadyMade.set(key(correction), (alreadyMade.get(key(correction)) || 0) + 1);
+        }
+        for (const correction of glossary.enforce(document.cues)) {
+            const remaining = alreadyMade.get(key(correction)) || 0;
+            if (remaining > 0) {
+                alreadyMade.set(key(correction), remaining - 1);
+            } else {
+                corrections.push(correction);
+            }
+        }
+
+        return { ...analysis, corrections, suppressed };
+    }
+
+    // Add the house style corrections the model did not already make. Fixable
+    // ones pass the same safety checks as the model's; manual ones are only
+    // reported.
+    applyStyle(analysis, document, language) {
+        if (analysis.status !== 'success' || !this.styleGuide) return analysis;
+
+        const found = this.styleGuide.check(document.cues, language && language.code);
+        const { accepted, rejected } = this.correctionGuard.filter(found.filter(correction => !correction.manual));
+
+        const key = c => `${c.cue}|${c.original}|${c.corrected}`;
+        const alreadyMade = new Set((analysis.corrections || []).map(key));
+        const corrections = (analysis.corrections || [])
+            .concat(accepted.filter(correction => !alreadyMade.has(key(correction))))
+            .concat(found.filter(correction => correction.manual));
+
+        const styleIssues = corrections.filter(correction => correction.type === 'style').length;
+        return {
+            ...analysis,
+            corrections,
+            rejected: (analysis.rejected || []).concat(rejected),
+            summary: analysis.summary ? { ...analysis.summary, styleIssues } : analysis.summary
+        };
+    }
+
+    async getDictionary(language) {
+        if (!this.dictionaries.has(language)) {
+            this.dictionaries.set(language, loadDictionary(this.dictionaryDir, language));
+        }
+        return this.dictionaries.get(language);
+    }
+
+    async analyzeWithDictionary(document, fileLanguage) {
+        const language = this.dictionaryLanguage || (fileLanguage && fileLanguage.code) || 'en';
+        const speller = await this.getDictionary(language);
+        if (!speller) {
+            return {
+                status: 'skipped',
+                message: `No ${language} dictionary found in ${this.dictionaryDir}`
+            };
+        }
+
+        const corrections = speller.check(document.cues.filter(cue => cue.text.length > 0));
+        return {
+            status: 'success',
+            source: 'dictionary',
+            analysis: `Dictionary check (${language}): ${corrections.length} unknown words with suggestions.`,
+            summary: {
+                spellingErrors: corrections.length,
+                grammarErrors: 0,
+                overallQuality: corrections.length === 0 ? 'No unknown words' : 'Unknown words found'
+            },
+            corrections
+        };
+    }
+
+    // Dictionary findings go first; the model's corrections for the same text are dropped
+    combineAnalyses(dictionaryAnalysis, modelAnalysis) {
+        if (dictionaryAnalysis.status !== 'success') return modelAnalysis;
+        if (modelAnalysis.status !== 'success') {
+            return {
+                ...dictionaryAnalysis,
+                analysis: `${dictionaryAnalysis.analysis}\n\nModel pass ${modelAnalysis.status}: ${modelAnalysis.message}`
+            };
+        }
+
+        const seen = new Set(dictionaryAnalysis.corrections.map(c => `${c.cue}|${c.original}`));
+        const corrections = dictionaryAnalysis.corrections.concat(
+            (modelAnalysis.corrections || []).filter(c => !seen.has(`${c.cue}|${c.original}`))
+        );
+        const summary = modelAnalysis.summary || {};
+
+        return {
+            ...modelAnalysis,
+            analysis: `${dictionaryAnalysis.analysis}\n\n${modelAnalysis.analysis}`,
+            summary: {
+                ...summary,
+                spellingErrors: corrections.filter(c => c.type === 'spelling').length,
+                grammarErrors: summary.grammarErrors || 0
+            },
+            corrections
+        };
+    }
+
+    // The windows of cues sent to the model; only the changed cues are
+    // targets when git mode narrowed the check to them
+    documentWindows(document, context) {
+        const cues = document.cues.filter(cue => cue.text.length > 0);
+        const options = { maxTokens: this.chunkTokens, overlap: this.chunkOverlap };
+        return context.changedCues ? chunkSelectedCues(cues, context.changedCues, options) : chunkCues(cues, options);
+    }
+
+    async analyzeInWindows(document, context) {
+        const { filename } = context;
+        const windows = this.documentWindows(document, context);
+
+        if (windows.length === 0) {
+            return { status: 'success', analysis: 'No changed cues to check.', corrections: [] };
+        }
+        if (windows.length > 1) {
+            this.emit('file-windows', { filename, windows: windows.length });
+        }
+
+        const analyses = await Promise.all(windows.map(async (window) => {
+            const label = windows.length > 1 ? `${filename} (window ${window.index}/${windows.length})` : filename;
+            const windowContext = { ...context, filename: label };
+            const cues = this.getPromptCues(window);
+
+            if (this.verifyMode === 'consensus') {
+                return this.analyzeByConsensus(cues, windowContext);
+            }
+            const analysis = await this.withRequestSlot(() => this.analyzeWithProvider(cues, windowContext));
+            return this.verifyMode === 'confirm' ? this.confirmAnalysis(analysis, cues, windowContext) : analysis;
+        }));
+
+        return mergeAnalyses(windows, analyses);
+    }
+
+    // Runs one API request in a slot of the shared concurrency limit
+    async withRequestSlot(task) {
+        const release = await this.requestSemaphore.acquire();
+        try {
+            return await task();
+        } finally {
+            release();
+        }
+    }
+
+    // The same cues to the checking model and every verifying model at once;
+    // a correction's confidence is the share of them that proposed it
+    async analyzeByConsensus(cues, context) {
+        const providers = [this.provider, ...this.verifiers];
+        const analyses = await Promise.all(providers.map(provider =>
+            this.withRequestSlot(() => this.analyzeWithProvider(cues, context, provider))));
+
+        const [analysis] = analyses;
+        const calls = analyses.map((result, i) => this.requestRecord(result, providers[i]));
+        const corrections = analysis.status === 'success'
+            ? scoreByConsensus(analyses, providers.map(provider => provider.model), cues)
+            : analysis.corrections;
+        return this.verifiedAnalysis(analysis, calls, corrections);
+    }
+
+    // The checking model asked to rate its own corrections for the window
+    async confirmAnalysis(analysis, cues, context) {
+        const calls = [this.requestRecord(analysis, this.provider)];
+        if (analysis.status !== 'success' || analysis.corrections.length === 0) {
+            return this.verifiedAnalysis(analysis, calls, analysis.corrections);
+        }
+
+        const confirmation = await this.withRequestSlot(() => this.confirmCorrections(analysis.corrections, cues, context));
+        calls.push(this.requestRecord(confirmation, this.provider));
+        const corrections = confirmation.verdicts
+            ? scoreByConfirmation(analysis.corrections, confirmation.verdicts)
+            : unconfirmed(analysis.corrections, confirmation.message);
+        return this.verifiedAnalysis(analysis, calls, corrections);
+    }
+
+    requestRecord(result, provider) {
+        return { model: result.model || provider.model, usage: result.usage, cached: Boolean(result.cached) };
+    }
+
+    // The analysis with scored corrections and the usage of every request
+    // made for it, the verifying ones included
+    verifiedAnalysis(analysis, calls, corrections) {
+        return {
+            ...analysis,
+            corrections,
+            usage: sumUsage(calls),
+            cached: calls.every(call => call.cached),
+            verification: { mode: this.verifyMode, calls }
+        };
+    }
+
+    // { verdicts, usage, model, cached }, or a message instead of the
+    // verdicts when the model could not be asked or its reply not read
+    async confirmCorrections(corrections, cues, context) {
+        const { filename } = context;
+        const messages = this.buildConfirmMessages(corrections, cues, context);
+        let response;
+        try {
+            response = await this.requestCompletion(messages, { filename });
+        } catch (error) {
+            this.emit('failure', { filename, message: `${this.provider.name} API error confirming corrections for ${filename}`, error });
+            return { message: error.message };
+        }
+
+        const reply = { usage: response.usage, model: response.model, cached: Boolean(response.cached) };
+        let parsed;
+        let problems;
+        try {
+            parsed = parseJsonReply(response.content);
+            problems = validateVerdicts(parsed);
+        } catch (parseError) {
+            problems = ['the reply is not JSON'];
+        }
+        await this.keepResponse(messages, response, problems.length === 0);
+        if (problems.length > 0) {
+            this.emit('warning', { filename, message: `Could not read the confirmation for ${filename}: ${problems.join('; ')}` });
+            return { ...reply, message: 'unreadable confirmation' };
+        }
+        return { ...reply, verdicts: parsed.verdicts };
+    }
+
+    // Tokens the model requests for a document would take, built from the
+    // same windows and prompts analyzeInWindows sends. Windows already in the
+    // response cache cost nothing. Null when no model would be asked.
+    async estimateDocument(document, context) {
+        if (this.spellcheckMode === 'only') {
+            return null;
+        }
+
+        const windows = this.documentWindows(document, context);
+        const estimate = { windows: windows.length, cachedWindows: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+        const providers = this.verifyMode === 'consensus' ? [this.provider, ...this.verifiers] : [this.provider];
+        const byModel = new Map(providers.map(provider => [provider.model, { model: provider.model, prompt_tokens: 0, completion_tokens: 0 }]));
+        for (const window of windows) {
+            const messages = this.buildMessages(this.getPromptCues(window), context);
+            let cached = true;
+            for (const provider of providers) {
+                if (await this.responseCache.has(this.cacheKey(messages, provider))) continue;
+                cached = false;
+                const spend = byModel.get(provider.model);
+                spend.prompt_tokens += estimatePromptTokens(messages);
+                spend.completion_tokens += estimateCompletionTokens(window, provider.maxTokens);
+            }
+            if (cached) {
+                estimate.cachedWindows++;
+            } else if (this.verifyMode === 'confirm') {
+                // The confirmation sends the cues again with corrections that
+                // are not known yet; counted as one more request of the same size
+                const spend = byModel.get(this.provider.model);
+                spend.prompt_tokens += estimatePromptTokens(messages);
+                spend.completion_tokens += estimateCompletionTokens(window, this.provider.maxTokens);
+            }
+        }
+        for (const spend of byModel.values()) {
+            estimate.prompt_tokens += spend.prompt_tokens;
+            estimate.completion_tokens += spend.completion_tokens;
+        }
+        // Priced per model when the verifying models are asked as well
+        if (byModel.size > 1) {
+            estimate.models = [...byModel.values()];
+        }
+        estimate.total_tokens = estimate.prompt_tokens + estimate.completion_tokens;
+        return estimate;
+    }
+
+    // Tokens an analysis was billed for; cached responses are free
+    spentTokens(analysis) {
+        return billedCalls(analysis).reduce((sum, call) => sum + (call.usage.total_tokens || 0), 0);
+    }
+
+    getPromptCues(window) {
+        // Cues keep their number so corrections can be tied back to them
+        const toPrompt = context => cue => (context
+            ? { cue: cue.index, text: cue.text, context: true }
+            : { cue: cue.index, text: cue.text });
+
+        return [
+            ...window.before.map(toPrompt(true)),
+            ...window.targets.map(toPrompt(false)),
+            ...window.after.map(toPrompt(true))
+        ];
+    }
+
+    // The system and user messages for one window of cues
+    buildMessages(cues, context) {
+        const extraSections = this.promptSections(context);
+        const prompt = `Please analyze the following subtitle cues for spelling and grammar mistakes and provide corrections.
+
+${this.languageInstructions(context.language)}
+
+Each cue has a numeric "cue" identifier. Every correction must name the cue it belongs to, and "original" must be an exact substring of that cue's text.
+Cues marked "context": true are neighbouring cues included only so you can follow the dialogue; never return corrections for them.
+
+IMPORTANT: Structure your response as JSON with this exact format:
+{
+  "summary": {
+    "spellingErrors": number,
+    "grammarErrors": number,
+    "overallQuality": "description"
+  },
+  "corrections": [
+    {
+      "cue": number,
+      "original": "exact text to replace",
+      "corrected": "corrected text",
+      "type": "spelling|grammar",
+      "explanation": "brief explanation"
+    }
+  ],
+  "analysis": "detailed analysis text"
+}
+
+If no errors are found, return an empty corrections array.
+${extraSections ? `\n${extraSections}\n` : ''}
+Subtitle cues to analyze:
+${JSON.stringify(cues, null, 2)}`;
+
+        return [
+            {
+                role: "system",
+                content: "You are an expert proofreader and grammar checker. Analyze text for spelling and grammar mistakes, providing detailed feedback and suggestions."
+            },
+            {
+                role: "user",
+                content: prompt
+            }
+        ];
+    }
+
+    // Glossary and house style, shared by the check and the confirmation
+    promptSections(context) {
+        return [
+            context.glossary ? context.glossary.promptSection() : '',
+            this.styleGuide ? this.styleGuide.promptSection() : ''
+        ].filter(Boolean).join('\n\n');
+    }
+
+    // Asks the checking model to rate the corrections proposed for one window of cues
+    buildConfirmMessages(corrections, cues, context) {
+        const extraSections = this.promptSections(context);
+        const proposed = corrections.map((correction, i) => ({
+            id: i + 1,
+            cue: correction.cue,
+            original: correction.original,
+            corrected: correction.corrected,
+            type: correction.type
+        }));
+        const prompt = `A proofreader proposed the corrections below for these subtitle cues. Judge each one on its own: is the original text really wrong, and does the corrected text fix it without changing the meaning?
+
+${this.languageInstructions(context.language)}
+
+IMPORTANT: Structure your response as JSON with this exact format:
+{
+  "verdicts": [
+    {
+      "id": number,
+      "confidence": number from 0 (certainly wrong) to 1 (certainly right),
+      "reason": "brief reason"
+    }
+  ]
+}
+
+Give a verdict for every correction.
+${extraSections ? `\n${extraSections}\n` : ''}
+Proposed corrections:
+${JSON.stringify(proposed, null, 2)}
+
+Subtitle cues:
+${JSON.stringify(cues, null, 2)}`;
+
+        return [
+            {
+                role: "system",
+                content: "You are an expert proofreader reviewing another proofreader's corrections. A correction that is not clearly needed is wrong."
+            },
+            {
+                role: "user",
+                content: prompt
+            }
+        ];
+    }
+
+    async analyzeWithProvider(cues, context, provider = this.provider) {
+        const { filename } = context;
+        if (!provider.isConfigured()) {
+            return {
+                status: 'skipped',
+                message: 'API key not provided'
+            };
+        }
+
+        try {
+            const messages = this.buildMessages(cues, context);
+            const response = await this.requestCompletion(messages, { filename }, provider);
+
+            const responseContent = response.content;
+            
+            // Try to parse JSON response
+            let parsedResponse;
+            try {
+                parsedResponse = parseJsonReply(responseContent);
+            } catch (parseError) {
+                // A reply that cannot be read says nothing about the text, so the file is not clean
+                await this.keepResponse(messages, response, false, provider);
+                this.emit('warning', { filename, message: `Response for ${filename} is not JSON: ${parseError.message}` });
+                return {
+                    status: 'error',
+                    message: `Response is not JSON: ${parseError.message}`
+                };
+            }
+
+            const problems = validateResponse(parsedResponse);
+            await this.keepResponse(messages, response, problems.length === 0, provider);
+            if (problems.length > 0) {
+                this.emit('warning', { filename, message: `Response for ${filename} does not match the expected format: ${problems.join('; ')}` });
+                return {
+                    status: 'error',
+                    message: `Response does not match the expected format: ${problems.join('; ')}`
+                };
+            }
+
+            // Malformed entries are kept aside so the report can show why they were dropped
+            const { valid, rejected } = partitionCorrections(parsedResponse.corrections);
+
+            return {
+                status: 'success',
+                analysis: parsedResponse.analysis || responseContent,
+                summary: parsedResponse.summary,
+                corrections: valid,
+                rejected,
+                usage: response.usage,
+                model: response.model,
+                cached: Boolean(response.cached)
+            };
+
+        } catch (error) {
+            const model = provider === this.provider ? '' : ` (${provider.model})`;
+            this.emit('failure', { filename, message: `${provider.name} API error for ${filename}${model}`, error });
+
+            return {
+                status: 'error',
+                message: error.message
+            };
+        }
+    }
+
+    languageInstructions(language) {
+        if (!language) {
+            return 'Check the cues against the spelling and grammar rules of the language they are written in. Never translate them.';
+        }
+
+        // A code without a known name is given to the model as the code alone
+        const lines = [language.name === language.code
+            ? `The cues are in the language with the code "${language.code}". Check them against its spelling and grammar rules and never translate them.`
+            : `The cues are in ${language.name} (${language.code}). Check them against ${language.name} spelling and grammar rules and never translate them.`];
+        if (language.rtl) {
+            lines.push('The text is written right to left. Keep the word order and any direction marks exactly as they are.');
+        }
+        return lines.join('\n');
+    }
+
+    cacheKey(messages, provider = this.provider) {
+        return ResponseCache.key({ provider: provider.name, model: provider.model, messages });
+    }
+
+    async requestCompletion(messages, context, provider = this.provider) {
+        const key = this.cacheKey(messages, provider);
+        const cached = await this.responseCache.get(key);
+        if (cached) {
+            return { ...cached, cached: true };
+        }
+
+        const response = await withRetry(async () => {
+            await this.rateLimiter.wait();
+            return provider.complete(messages, context);
+        }, {
+            retries: this.maxRetries,
+            onRetry: ({ attempt, retries, delay, error }) => {
+                const status = error.response ? `HTTP ${error.response.status}` : error.message;
+                if (error.response && error.response.status === 429) {
+                    // Rate limited: hold back every request, not just this one
+                    this.rateLimiter.pause(delay);
+                }
+                this.emit('retry', { filename: context.filename, status, delay, attempt, retries });
+            }
+        });
+
+        return response;
+    }
+
+    // Replies are cached once they have been read, so a malformed one is
+    // asked for again on the next run instead of being replayed; a cached
+    // reply that can no longer be read is dropped
+    async keepResponse(messages, response, readable, provider = this.provider) {
+        const key = this.cacheKey(messages, provider);
+        try {
+            if (readable && !response.cached) {
+                await this.responseCache.set(key, response);
+            } else if (!readable && response.cached) {
+                await this.responseCache.delete(key);
+            }
+        } catch (error) {
+            this.emit('warning', { message: `Could not cache response: ${error.message}` });
+        }
+    }
+
+    async applyCorrections(file, document, corrections) {
+        const { filename, filePath } = file;
+        // The job service runs check jobs through the same checker as fix jobs
+        const applyFixes = this.applyFixes && !file.checkOnly;
+        try {
+            let changesCount = 0;
+            const appliedChanges = [];
+            const skippedChanges = [];
+            const suggestions = [];
+
+            this.emit('corrections-start', { filename, corrections });
+
+            // Apply corrections one by one
+            for (const correction of corrections) {
+                if (correction.manual) {
+                    skippedChanges.push({ ...correction, reason: `${correction.rule}: needs a manual fix` });
+                    continue;
+                }
+                // Not certain enough to write without a person looking at it
+                if (correction.confidence !== undefined && correction.confidence < this.minConfidence) {
+                    const cue = formats.findCue(document, correction.cue);
+                    suggestions.push(cue ? { ...correction, cue: cue.index, start: cue.start, end: cue.end, line: cue.line } : correction);
+                    continue;
+                }
+                const originalText = correction.original;
+                const correctedText = correction.corrected;
+                if (typeof originalText !== 'string' || typeof correctedText !== 'string') continue;
+
+                // Only ever touch the text of the cue the correction names
+                const cue = formats.findCue(document, correction.cue);
+                if (!cue) {
+                    skippedChanges.push({ ...correction, reason: `unknown cue ${correction.cue}` });
+                    continue;
+                }
+                if (!formats.replaceCueText(document, cue, originalText, correctedText)) {
+                    skippedChanges.push({ ...correction, reason: `text not found in cue ${cue.index}` });
+                    continue;
+                }
+
+                changesCount++;
+                const change = {
+                    original: originalText,
+                    corrected: correctedText,
+                    type: correction.type,
+                    rule: correction.rule,
+                    explanation: correction.explanation,
+                    confidence: correction.confidence,
+                    cue: cue.index,
+                    cueId: cue.id,
+                    start: cue.start,
+                    end: cue.end,
+                    line: cue.line
+                };
+                appliedChanges.push(change);
+                // Applied to the parsed document; the file itself is only written in fix mode
+                this.emit('correction-applied', { filename, change });
+            }
+
+            for (const skipped of skippedChanges) {
+                this.emit('correction-skipped', { filename, correction: skipped });
+            }
+            for (const suggestion of suggestions) {
+                this.emit('correction-suggested', { filename, correction: suggestion });
+            }
+
+            const correctedContent = formats.serializeSubtitle(document);
+            const diff = changesCount > 0 ? createFilePatch(filename, document.content, correctedContent) : null;
+
+            if (changesCount > 0 && !applyFixes) {
+                if (this.dryRun) {
+                    this.patches.push({ filename, changesCount, patch: diff });
+                }
+                this.emit('corrections-done', { filename, changesCount, patched: this.dryRun });
+
+                return {
+                    success: true,
+                    dryRun: true,
+                    changesCount,
+                    appliedChanges,
+                    skippedChanges,
+                    suggestions,
+                    diff
+                };
+            }
+
+            let backupPath = null;
+            let backupRun = null;
+            let outputPath = null;
+            if (changesCount > 0 && this.outputDir) {
+                // Mirror the input layout below the output folder, originals stay as they are
+                outputPath = path.join(this.outputDir, path.relative(file.root, filePath));
+                await fs.outputFile(outputPath, correctedContent, 'utf8');
+
+                this.fixedFiles.push({ filename, changesCount, appliedChanges, outputPath });
+                this.emit('corrections-done', { filename, changesCount, outputPath });
+            } else if (changesCount > 0) {
+                // Snapshot the original in this run's backup folder
+                const backup = await this.journal.record({
+                    filename,
+                    filePath,
+                    after: correctedContent,
+                    changes: appliedChanges
+                });
+                backupPath = backup.snapshotPath;
+                backupRun = backup.runId;
+                
+                // Write corrected content back in the file's own format
+                await fs.writeFile(filePath, correctedContent, 'utf8');
+                
+                this.fixedFiles.push({
+                    filename,
+                    changesCount,
+                    appliedChanges,
+                    backupPath,
+                    backupRun
+                });
+
+                this.emit('corrections-done', { filename, changesCount, backupPath, backupRun });
+            }
+
+            return {
+                success: true,
+                changesCount,
+                appliedChanges,
+                skippedChanges,
+                suggestions,
+                diff,
+                backupPath,
+                backupRun,
+                outputPath
+            };
+
+        } catch (error) {
+            this.emit('failure', { filename, message: `Error applying corrections to ${filename}`, error });
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    async writePatches() {
+        if (!this.dryRun || this.patches.length === 0) return;
+
+        try {
+            if (this.patchFile) {
+                const patchPath = path.resolve(this.cwd, this.patchFile);
+                await fs.outputFile(patchPath, this.patches.map(p => p.patch).join('\n'), 'utf8');
+                this.patchOutputs.push(patchPath);
+            } else {
+                for (const { filename, patch } of this.patches) {
+                    // Files outside the working directory still land inside the patches folder
+                    const relativeName = filename.split('/').filter(part => part !== '..').join('/');
+                    const patchPath = path.join(this.patchDir, `${relativeName}.diff`);
+                    await fs.outputFile(patchPath, patch, 'utf8');
+                    this.patchOutputs.push(patchPath);
+                }
+            }
+        } catch (error) {
+            this.emit('failure', { message: 'Error writing patches', error });
+        }
+    }
+
+    async applyPatchFile(patchPath) {
+        return this.withStateLock(async () => {
+            await this.loadState();
+
+            const filePatches = parsePatchFile(await fs.readFile(path.resolve(this.cwd, patchPath), 'utf8'));
+            if (filePatches.length === 0) {
+                return { success: true, applied: [] };
+            }
+
+            // Verify every file before touching any of them, so a stale patch is refused as a whole
+            const refused = [];
+            const pending = [];
+            for (const file of filePatches) {
+                const filePath = path.resolve(this.cwd, file.filename);
+                const filename = this.displayName(filePath);
+                const currentHash = await this.getFileHash(filePath);
+                const fileState = this.state[filename];
+
+                if (!currentHash) {
+                    refused.push({ filename, reason: 'file not found' });
+                } else if (!fileState) {
+                    refused.push({ filename, reason: 'no recorded state for this file' });
+                } else if (fileState.hash !== currentHash) {
+                    refused.push({ filename, reason: 'file changed since the patch was created' });
+                } else {
+                    const patched = applyFilePatch(await fs.readFile(filePath, 'utf8'), file.patch);
+                    if (patched === null) {
+                        refused.push({ filename, reason: 'patch does not apply cleanly' });
+                    } else {
+                        pending.push({ filename, filePath, patched });
+                    }
+                }
+            }
+
+            if (refused.length > 0) {
+                return { success: false, applied: [], refused };
+            }
+
+            for (const { filename, filePath, patched } of pending) {
+                const backup = await this.journal.record({ filename, filePath, after: patched, action: 'apply-patch' });
+                await fs.writeFile(filePath, patched, 'utf8');
+                this.state[filename].hash = await this.getFileHash(filePath);
+                this.state[filename].hasErrors = false;
+                this.state[filename].lastPatched = new Date().toISOString();
+                this.emit('file-patched', { filename, backupRun: backup.runId });
+            }
+
+            await this.saveState();
+            return { success: true, applied: pending.map(p => p.filename) };
+        });
+    }
+
+    // Rebuild the report of the last run from the state file, without calling a provider
+    async reportFromState() {
+        await this.loadState();
+
+        let filenames = Object.keys(this.state).sort();
+        if (!this.usingDefaultInputs) {
+            const files = await this.resolveFiles();
+            const wanted = new Set(files.map(file => file.filename));
+            filenames = filenames.filter(filename => wanted.has(filename));
+        }
+
+        for (const filename of filenames) {
+            const { lastResult } = this.state[filename];
+            if (!lastResult) continue;
+            this.results.push(lastResult);
+            const fixResult = lastResult.fixResult;
+            if (fixResult && fixResult.success && !fixResult.dryRun && fixResult.changesCount > 0) {
+                this.fixedFiles.push({ filename, ...fixResult });
+            }
+        }
+
+        // Only the glossary in each file's own folder is known here
+        await this.checkConsistency(this.results.map(({ filename, filePath }) => ({ filename, filePath, root: path.dirname(filePath) })));
+        await this.writeReports();
+        return this.buildReport();
+    }
+
+    // Projected tokens and cost of checking the input files, without calling
+    // the provider. Files the state file would skip are not counted, and the
+    // token budgets apply as they would in the run.
+    async estimateRun() {
+        await this.prepare();
+        await this.loadState();
+
+        const files = await this.resolveFiles();
+        if (files === null) {
+            return null;
+        }
+
+        const budget = new TokenBudget({ perFile: this.budget.perFile, perRun: this.budget.perRun });
+        const estimates = [];
+        for (const file of files) {
+            const shouldProcess = await this.shouldProcessFile(file);
+            if (!shouldProcess.should) {
+                this.skippedFiles.push({ filename: file.filename, reason: shouldProcess.reason });
+                continue;
+            }
+
+            try {
+                const { document, subtitleText } = await this.readSubtitle(file.filePath, file.content);
+                if (!subtitleText || subtitleText.trim().length === 0) continue;
+
+                const language = this.fileLanguage(file.filePath, document, subtitleText);
+                const glossary = await this.getGlossary(file);
+                const changed = file.changedLines ? changedCues(document, file.changedLines) : null;
+                const estimate = await this.estimateDocument(document, { filename: file.filename, glossary, language, changedCues: changed }) ||
+                    { windows: 0, cachedWindows: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+                estimates.push({
+                    filename: file.filename,
+                    ...estimate,
+                    cost: estimate.models
+                        ? this.costOf(estimate.models.map(spend => ({ model: spend.model, usage: spend })))
+                        : this.pricing.costOf(estimate, this.provider.model),
+                    overBudget: budget.reserve(estimate.total_tokens)
+                });
+            } catch (error) {
+                this.emit('warning', { filename: file.filename, message: `Could not estimate ${file.filename}: ${error.message}` });
+            }
+        }
+
+        const sent = estimates.filter(estimate => !estimate.overBudget);
+        const sum = key => sent.reduce((total, estimate) => total + estimate[key], 0);
+        return {
+            provider: this.provider.describe(),
+            model: this.spellcheckMode === 'only' ? null : this.provider.model,
+            price: this.pricing.priceFor(this.provider.model),
+            files: estimates,
+            skipped: this.skippedFiles,
+            totals: {
+                files: sent.length,
+                overBudget: estimates.length - sent.length,
+                prompt_tokens: sum('prompt_tokens'),
+                completion_tokens: sum('completion_tokens'),
+                total_tokens: sum('total_tokens'),
+                cost: sent.some(estimate => estimate.cost === null) ? null : sum('cost')
+            }
+        };
+    }
+
+    // Roll files back to the version they had before a backup run. Without
+    // --run each file goes back to before the latest run that changed it.
+    async restoreFiles() {
+        return this.withStateLock(async () => {
+            await this.loadState();
+            const runs = await this.journal.listRuns();
+
+            if (!this.restoreRun && this.usingDefaultInputs) {
+                return { success: false, restored: [], error: 'Name the files to restore, or pick a run' };
+            }
+
+            let wanted = null;
+            if (!this.usingDefaultInputs) {
+                const files = await this.resolveFiles();
+                wanted = new Set(files.map(file => file.filename));
+            }
+
+            const targets = [];
+            if (this.restoreRun) {
+                const run = runs.find(candidate => candidate.id === this.restoreRun);
+                if (!run) {
+                    return { success: false, restored: [], error: `No backup run ${this.restoreRun}` };
+                }
+                for (const entry of run.files) {
+                    if (!wanted || wanted.has(entry.filename)) targets.push({ run, entry });
+                }
+            } else {
+                for (const filename of wanted) {
+                    const run = runs.slice().reverse().find(candidate => candidate.files.some(entry => entry.filename === filename));
+                    if (run) targets.push({ run, entry: run.files.find(entry => entry.filename === filename) });
+                }
+            }
+
+            const found = new Set(targets.map(({ entry }) => entry.filename));
+            const missing = wanted ? [...wanted].filter(filename => !found.has(filename)) : [];
+            const restored = await this.restoreEntries(targets);
+            return { success: missing.length === 0, restored, missing };
+        });
+    }
+
+    // Revert the most recent fix or apply-patch run, refusing files edited since
+    async undoLastRun() {
+        return this.withStateLock(async () => {
+            await this.loadState();
+
+            const run = await this.journal.latestUndoableRun();
+            if (!run) {
+                return { success: false, restored: [], error: 'Nothing to undo' };
+            }
+
+            this.emit('undo-start', { run });
+
+            const modified = [];
+            for (const entry of run.files) {
+                if (await this.getFileHash(entry.filePath) !== entry.hashAfter) {
+                    modified.push(entry.filename);
+                }
+            }
+            if (modified.length > 0 && !this.forceReprocess) {
+                return { success: false, run, restored: [], modified };
+            }
+
+            const targets = run.files.map(entry => ({ run, entry }));
+            const restored = await this.restoreEntries(targets);
+            await this.journal.markUndone(run, await this.journal.currentRunId());
+            return { success: true, run, restored };
+        });
+    }
+
+    // Every restore is itself a backup run, so it can be rolled back the same way
+    async restoreEntries(targets) {
+        const restored = [];
+        for (const { run, entry } of targets) {
+            const content = await this.journal.readSnapshot(run, entry);
+            const current = this.state[entry.filename] || {};
+
+            if (await fs.pathExists(entry.filePath)) {
+                await this.journal.record({
+                    filename: entry.filename,
+                    filePath: entry.filePath,
+                    after: content,
+                    hasErrors: Boolean(current.hasErrors),
+                    action: 'restore'
+                });
+            }
+            await fs.outputFile(entry.filePath, content);
+
+            // Keep the state in step so the next run sees the restored file as it is
+            this.state[entry.filename] = {
+                ...current,
+                hash: await this.getFileHash(entry.filePath),
+                hasErrors: entry.hasErrors,
+                lastRestored: new Date().toISOString()
+            };
+            restored.push(entry.filename);
+            this.emit('file-restored', { filename: entry.filename, runId: run.id });
+        }
+
+        await this.saveState();
+        return restored;
+    }
+
+    // Backup runs, oldest first; with paths only the runs that changed one of them
+    async listHistory() {
+        const runs = await this.journal.listRuns();
+        if (this.usingDefaultInputs) return runs;
+
+        const wanted = new Set((await this.resolveFiles()).map(file => file.filename));
+        return runs.filter(run => run.files.some(entry => wanted.has(entry.filename)));
+    }
+
+    // Dollars for a list of requests, or null when one of their models has no price
+    costOf(calls) {
+        return calls.reduce((sum, call) => {
+            const cost = this.pricing.costOf(call.usage, call.model);
+            return sum === null || cost === null ? null : sum + cost;
+        }, 0);
+    }
+
+    // The structured form of one file's result, as it appears in reports
+    reportEntry(result) {
+        const analysis = result.analysis || {};
+        const fixResult = result.fixResult || {};
+        // Findings of the windows that answered are kept when others failed
+        const partial = analysis.status === 'success' && !isFullyAnalysed(analysis);
+        let status = 'success';
+        if (result.error || analysis.status === 'error' || partial) status = 'error';
+        else if (analysis.status === 'skipped') status = 'skipped';
+
+        return {
+            filename: result.filename,
+            filePath: result.filePath,
+            format: result.format,
+            language: result.language ? result.language.code : null,
+            languageSource: result.language ? result.language.source : null,
+            status,
+            partial,
+            message: result.error || (partial ? describeFailedWindows(analysis) : analysis.message),
+            summary: analysis.summary,
+            analysis: analysis.analysis,
+            model: analysis.model,
+            cached: Boolean(analysis.cached),
+            usage: analysis.usage,
+            verification: analysis.verification,
+            estimate: result.estimate || null,
+            cost: analysis.usage ? this.costOf(billedCalls(analysis)) : null,
+            dryRun: Boolean(fixResult.dryRun),
+            findings: status === 'success' || partial ? result.findings || [] : [],
+            applied: fixResult.appliedChanges || [],
+            notApplied: fixResult.skippedChanges || [],
+            suggestions: fixResult.suggestions || [],
+            suppressed: analysis.suppressed || [],
+            rejected: analysis.rejected || [],
+            qc: result.error ? [] : result.qc || [],
+            diff: fixResult.diff || null
+        };
+    }
+
+    // Structured view of the run shared by the JSON, JUnit, SARIF and HTML writers
+    buildReport() {
+        const files = this.results.map(result => this.reportEntry(result));
+
+        // Verified files were billed for a request per model
+        const calls = files.flatMap(file => billedCalls(file).map(call => ({ ...call, filename: file.filename })));
+        const usage = sumUsage(calls) || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+        // Spend per model; a model without a known price has a null cost
+        const models = new Map();
+        for (const call of calls) {
+            const model = call.model || this.provider.model;
+            const spend = models.get(model) || { model, files: new Set(), prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 };
+            const cost = this.pricing.costOf(call.usage, call.model);
+            spend.files.add(call.filename);
+            spend.prompt_tokens += call.usage.prompt_tokens || 0;
+            spend.completion_tokens += call.usage.completion_tokens || 0;
+            spend.total_tokens += call.usage.total_tokens || 0;
+            spend.cost = spend.cost === null || cost === null ? null : spend.cost + cost;
+            models.set(model, spend);
+        }
+
+        return {
+            tool: { name: 'subtitle-checker', version },
+            generatedAt: new Date().toISOString(),
+            cwd: this.cwd,
+            provider: this.provider.describe(),
+            dryRun: this.dryRun,
+            files,
+            skipped: this.skippedFiles,
+            models: [...models.values()].map(spend => ({ ...spend, files: spend.files.size })),
+            verification: this.verificationSettings(),
+            consistency: this.consistency,
+            totals: {
+                files: files.length,
+                succeeded: files.filter(file => file.status === 'success').length,
+                failed: files.filter(file => file.status === 'error').length,
+                skipped: this.skippedFiles.length + files.filter(file => file.status === 'skipped').length,
+                findings: files.reduce((sum, file) => sum + file.findings.length, 0),
+                qc: files.reduce((sum, file) => sum + file.qc.length, 0),
+                consistency: this.consistency ? this.consistency.terms.length + this.consistency.tracks.length : 0,
+                applied: files.reduce((sum, file) => sum + file.applied.length, 0),
+                suggestions: files.reduce((sum, file) => sum + file.suggestions.length, 0),
+                usage,
+                // Only what has a known price
+                cost: files.reduce((sum, file) => sum + (file.cost || 0), 0)
+            }
+        };
+    }
+
+    async writeReports() {
+        if (this.reportFormats.length === 0) return;
+
+        try {
+            this.reportOutputs = await writeReports(this.buildReport(), this.reportFormats, { dir: this.reportDir });
+            this.emit('reports-written', { paths: this.reportOutputs });
+        } catch (error) {
+            this.emit('failure', { message: 'Error writing reports', error });
+        }
+    }
+}
+
+module.exports = {
+    DEFAULTS,
+    SubtitleChecker
+};
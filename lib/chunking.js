@@ -0,0 +1,169 @@
+// Split long subtitle files into windows of cues that fit a prompt token
+// budget, and merge the per-window analyses back into one result per file.
+
+// Rough token estimate (~4 characters per token for Latin scripts)
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+// JSON punctuation and the cue number around each cue in the prompt
+const CUE_OVERHEAD = 8;
+
+function cueTokens(cue) {
+    return estimateTokens(cue.text) + CUE_OVERHEAD;
+}
+
+// Returns windows of consecutive cues. `targets` are the cues a window is
+// responsible for; `before`/`after` are up to `overlap` neighbouring cues sent
+// along as read-only context so sentences split across windows still read well.
+function chunkCues(cues, { maxTokens = 1500, overlap = 2 } = {}) {
+    const ranges = [];
+    let start = 0;
+    let tokens = 0;
+
+    cues.forEach((cue, i) => {
+        const cost = cueTokens(cue);
+        if (i > start && tokens + cost > maxTokens) {
+            ranges.push({ start, end: i, tokens });
+            start = i;
+            tokens = 0;
+        }
+        tokens += cost;
+    });
+    if (start < cues.length) {
+        ranges.push({ start, end: cues.length, tokens });
+    }
+
+    return ranges.map((range, i) => ({
+        index: i + 1,
+        targets: cues.slice(range.start, range.end),
+        before: cues.slice(Math.max(0, range.start - overlap), range.start),
+        after: cues.slice(range.end, range.end + overlap),
+        tokens: range.tokens
+    }));
+}
+
+// Windows over only the cues numbered in `selected`, such as the cues that
+// changed in a commit. Selected cues close enough to share their context are
+// checked together, with the cues between them; elsewhere the context is the
+// neighbouring cues in the whole file, selected or not.
+function chunkSelectedCues(cues, selected, { maxTokens = 1500, overlap = 2 } = {}) {
+    const positions = cues.map((cue, i) => i).filter(i => selected.has(cues[i].index));
+
+    const runs = [];
+    for (const position of positions) {
+        const run = runs[runs.length - 1];
+        if (run && position - run.end <= overlap * 2 + 1) {
+            run.end = position;
+        } else {
+            runs.push({ start: position, end: position });
+        }
+    }
+
+    const windows = [];
+    for (const run of runs) {
+        let first = run.start;
+        for (const window of chunkCues(cues.slice(run.start, run.end + 1), { maxTokens, overlap: 0 })) {
+            const end = first + window.targets.length;
+            windows.push({
+                ...window,
+                index: windows.length + 1,
+                before: cues.slice(Math.max(0, first - overlap), first),
+                after: cues.slice(end, end + overlap)
+            });
+            first = end;
+        }
+    }
+    return windows;
+}
+
+function cueNumber(reference) {
+    return parseInt(String(reference).replace(/^\D+/, ''), 10);
+}
+
+function sumUsage(analyses) {
+    const withUsage = analyses.filter(analysis => analysis.usage);
+    if (withUsage.length === 0) return undefined;
+
+    return withUsage.reduce((total, { usage }) => ({
+        prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+        completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+        total_tokens: total.total_tokens + (usage.total_tokens || 0)
+    }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+}
+
+// The requests made to verify every window's corrections, together
+function mergeVerification(analyses) {
+    const verified = analyses.filter(analysis => analysis.verification);
+    if (verified.length === 0) return undefined;
+    return {
+        mode: verified[0].verification.mode,
+        calls: verified.flatMap(analysis => analysis.verification.calls)
+    };
+}
+
+// Merge one analysis per window into a single analysis for the file. A
+// window may only correct its own target cues; corrections it returns for
+// context cues belong to the neighbouring window and are dropped here.
+function mergeAnalyses(windows, analyses) {
+    if (analyses.length === 1 && windows[0].before.length + windows[0].after.length === 0) return analyses[0];
+
+    const succeeded = analyses.map((analysis, i) => ({ analysis, window: windows[i] }))
+        .filter(({ analysis }) => analysis.status === 'success');
+
+    if (succeeded.length === 0) {
+        return analyses.find(analysis => analysis.status === 'error') || analyses[0];
+    }
+
+    const corrections = [];
+    const seen = new Set();
+    for (const { analysis, window } of succeeded) {
+        const contextCues = new Set([...window.before, ...window.after].map(cue => cue.index));
+        for (const correction of analysis.corrections || []) {
+            if (contextCues.has(cueNumber(correction.cue))) continue;
+
+            const key = `${cueNumber(correction.cue)}|${correction.original}|${correction.corrected}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            corrections.push(correction);
+        }
+    }
+
+    const summaries = succeeded.map(({ analysis }) => analysis.summary).filter(Boolean);
+    const qualities = [...new Set(summaries.map(summary => summary.overallQuality).filter(Boolean))];
+    const summary = summaries.length === 0 ? undefined : {
+        spellingErrors: summaries.reduce((sum, s) => sum + (Number(s.spellingErrors) || 0), 0),
+        grammarErrors: summaries.reduce((sum, s) => sum + (Number(s.grammarErrors) || 0), 0),
+        overallQuality: qualities.join('; ')
+    };
+
+    const analysisText = succeeded.map(({ analysis, window }) => {
+        const first = window.targets[0].index;
+        const last = window.targets[window.targets.length - 1].index;
+        return `Cues ${first}-${last}: ${analysis.analysis}`;
+    }).join('\n\n');
+
+    return {
+        status: 'success',
+        analysis: analysisText,
+        summary,
+        corrections,
+        rejected: succeeded.flatMap(({ analysis }) => analysis.rejected || []),
+        usage: sumUsage(analyses),
+        verification: mergeVerification(analyses),
+        model: succeeded[0].analysis.model,
+        cached: succeeded.every(({ analysis }) => analysis.cached),
+        windows: windows.length,
+        failedWindows: analyses
+            .map((analysis, i) => ({ window: windows[i].index, status: analysis.status, message: analysis.message }))
+            .filter(failed => failed.status !== 'success')
+    };
+}
+
+module.exports = {
+    estimateTokens,
+    chunkCues,
+    chunkSelectedCues,
+    sumUsage,
+    mergeAnalyses
+};
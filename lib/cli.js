@@ -0,0 +1,199 @@
+// Command-line parsing: subcommand, input paths and options
+
+const COMMANDS = ['check', 'fix', 'pre-commit', 'report', 'restore', 'undo', 'history', 'apply-patch', 'serve'];
+const DEFAULT_COMMAND = 'fix';
+
+// `value` is what a boolean flag sets; every other option takes the next
+// argument, checked against its NUMBER_TYPES entry when it is a number
+const OPTIONS = [
+    { flag: '--help', alias: '-h', key: 'help', type: 'boolean' },
+    { flag: '--force', alias: '-f', key: 'force', type: 'boolean' },
+    { flag: '--concurrency', alias: '-c', key: 'concurrency', type: 'count' },
+    { flag: '--state', key: 'stateFile', type: 'string' },
+    { flag: '--output-dir', alias: '-o', key: 'outputDir', type: 'string' },
+    { flag: '--backup-dir', key: 'backupDir', type: 'string' },
+    { flag: '--run', key: 'run', type: 'string' },
+    { flag: '--dry-run', key: 'dryRun', type: 'boolean' },
+    { flag: '--since', key: 'since', type: 'string' },
+    { flag: '--staged', key: 'staged', type: 'boolean' },
+    { flag: '--all-cues', key: 'allCues', type: 'boolean' },
+    { flag: '--patch', key: 'patch', type: 'string' },
+    { flag: '--provider', key: 'provider', type: 'string' },
+    { flag: '--model', key: 'model', type: 'string' },
+    { flag: '--base-url', key: 'baseUrl', type: 'string' },
+    { flag: '--temperature', key: 'temperature', type: 'number' },
+    { flag: '--max-tokens', key: 'maxTokens', type: 'number' },
+    { flag: '--mock-dir', key: 'mockDir', type: 'string' },
+    { flag: '--chunk-tokens', key: 'chunkTokens', type: 'count' },
+    { flag: '--chunk-overlap', key: 'chunkOverlap', type: 'whole' },
+    { flag: '--retries', key: 'retries', type: 'whole' },
+    { flag: '--rate-limit', key: 'rateLimit', type: 'non-negative' },
+    { flag: '--estimate', key: 'estimate', type: 'boolean' },
+    { flag: '--max-file-tokens', key: 'maxFileTokens', type: 'number' },
+    { flag: '--max-run-tokens', key: 'maxRunTokens', type: 'number' },
+    { flag: '--pricing', key: 'pricing', type: 'string' },
+    { flag: '--no-cache', key: 'cache', type: 'boolean', value: false },
+    { flag: '--cache-dir', key: 'cacheDir', type: 'string' },
+    { flag: '--spellcheck', key: 'spellcheck', type: 'boolean', value: 'first-pass' },
+    { flag: '--spellcheck-only', key: 'spellcheck', type: 'boolean', value: 'only' },
+    { flag: '--dictionaries', key: 'dictionaries', type: 'string' },
+    { flag: '--dictionary-language', key: 'dictionaryLanguage', type: 'string' },
+    { flag: '--language', alias: '-l', key: 'language', type: 'string' },
+    { flag: '--glossary', key: 'glossary', type: 'string' },
+    { flag: '--allowed-types', key: 'allowedTypes', type: 'string' },
+    { flag: '--max-edit-distance', key: 'maxEditDistance', type: 'number' },
+    { flag: '--max-length-change', key: 'maxLengthChange', type: 'number' },
+    { flag: '--verify', key: 'verify', type: 'string' },
+    { flag: '--verify-models', key: 'verifyModels', type: 'string' },
+    { flag: '--min-confidence', key: 'minConfidence', type: 'number' },
+    { flag: '--qc', key: 'qc', type: 'boolean' },
+    { flag: '--qc-profile', key: 'qcProfile', type: 'string' },
+    { flag: '--style-profile', key: 'styleProfile', type: 'string' },
+    { flag: '--consistency', key: 'consistency', type: 'boolean' },
+    { flag: '--max-drift', key: 'maxDrift', type: 'number' },
+    { flag: '--report', key: 'report', type: 'string' },
+    { flag: '--report-dir', key: 'reportDir', type: 'string' },
+    { flag: '--port', key: 'port', type: 'number' },
+    { flag: '--host', key: 'host', type: 'string' },
+    { flag: '--jobs-dir', key: 'jobsDir', type: 'string' }
+];
+
+// Environment variables behind the options; a command-line option wins
+const ENVIRONMENT = [
+    { name: 'STATE_FILE', key: 'stateFile' },
+    { name: 'BACKUP_DIR', key: 'backupDir' },
+    { name: 'LLM_PROVIDER', key: 'provider' },
+    { name: 'LLM_MODEL', key: 'model' },
+    { name: 'LLM_BASE_URL', key: 'baseUrl' },
+    // LLM_API_KEY, listed later, wins when both are set
+    { name: 'OPENROUTER_API_KEY', key: 'apiKey' },
+    { name: 'LLM_API_KEY', key: 'apiKey' },
+    { name: 'LLM_TEMPERATURE', key: 'temperature', type: 'number' },
+    { name: 'LLM_MAX_TOKENS', key: 'maxTokens', type: 'number' },
+    { name: 'MOCK_RESPONSES_DIR', key: 'mockDir' },
+    { name: 'MAX_CONCURRENCY', key: 'concurrency', type: 'count' },
+    { name: 'CHUNK_TOKENS', key: 'chunkTokens', type: 'count' },
+    { name: 'CHUNK_OVERLAP', key: 'chunkOverlap', type: 'whole' },
+    { name: 'MAX_RETRIES', key: 'retries', type: 'whole' },
+    { name: 'RATE_LIMIT_RPM', key: 'rateLimit', type: 'non-negative' },
+    { name: 'MAX_FILE_TOKENS', key: 'maxFileTokens', type: 'number' },
+    { name: 'MAX_RUN_TOKENS', key: 'maxRunTokens', type: 'number' },
+    { name: 'PRICING_FILE', key: 'pricing' },
+    { name: 'CACHE_DIR', key: 'cacheDir' },
+    { name: 'DICTIONARY_DIR', key: 'dictionaries' },
+    { name: 'DICTIONARY_LANG', key: 'dictionaryLanguage' },
+    { name: 'SUBTITLE_LANGUAGE', key: 'language' },
+    { name: 'GLOSSARY_FILE', key: 'glossary' },
+    { name: 'ALLOWED_TYPES', key: 'allowedTypes' },
+    { name: 'MAX_EDIT_DISTANCE', key: 'maxEditDistance', type: 'number' },
+    { name: 'MAX_LENGTH_CHANGE', key: 'maxLengthChange', type: 'number' },
+    { name: 'VERIFY_MODE', key: 'verify' },
+    { name: 'VERIFY_MODELS', key: 'verifyModels' },
+    { name: 'MIN_CONFIDENCE', key: 'minConfidence', type: 'number' },
+    { name: 'QC_PROFILE', key: 'qcProfile' },
+    { name: 'STYLE_PROFILE', key: 'styleProfile' },
+    { name: 'MAX_DRIFT_MS', key: 'maxDrift', type: 'number' },
+    { name: 'REPORT_FORMATS', key: 'report' },
+    { name: 'REPORT_DIR', key: 'reportDir' },
+    { name: 'JOBS_DIR', key: 'jobsDir' },
+    { name: 'SERVER_HOST', key: 'host' },
+    { name: 'SERVER_PORT', key: 'port', type: 'number' }
+];
+
+// The numbers each kind of number option accepts
+const NUMBER_TYPES = {
+    number: { accepts: () => true, needs: 'a number' },
+    count: { accepts: number => Number.isInteger(number) && number >= 1, needs: 'a whole number of at least 1' },
+    whole: { accepts: number => Number.isInteger(number) && number >= 0, needs: 'a whole number of at least 0' },
+    'non-negative': { accepts: number => number >= 0, needs: 'a number of at least 0' }
+};
+
+class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CliError';
+    }
+}
+
+function findOption(name) {
+    return OPTIONS.find(option => option.flag === name || option.alias === name);
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        const equals = arg.indexOf('=');
+        const name = equals === -1 ? arg : arg.slice(0, equals);
+        const option = findOption(name);
+        if (!option) {
+            throw new CliError(`Unknown option: ${name}`);
+        }
+
+        if (option.type === 'boolean') {
+            options[option.key] = option.value !== undefined ? option.value : true;
+            continue;
+        }
+
+        let value;
+        if (equals !== -1) {
+            value = arg.slice(equals + 1);
+        } else if (i + 1 < argv.length) {
+            value = argv[++i];
+        } else {
+            throw new CliError(`Option ${name} needs a value`);
+        }
+
+        const numberType = NUMBER_TYPES[option.type];
+        if (numberType) {
+            const number = Number(value);
+            if (value === '' || Number.isNaN(number) || !numberType.accepts(number)) {
+                throw new CliError(`Option ${name} needs ${numberType.needs}, got "${value}"`);
+            }
+            value = number;
+        }
+        options[option.key] = value;
+    }
+
+    const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : DEFAULT_COMMAND;
+    return { command, paths: positionals, options };
+}
+
+// Options from the environment; empty values, and numbers the option does
+// not accept, are ignored, so the option keeps its default
+function environmentOptions(env) {
+    const options = {};
+    for (const { name, key, type } of ENVIRONMENT) {
+        const value = env[name];
+        if (value === undefined || value === '') continue;
+        const numberType = NUMBER_TYPES[type];
+        if (numberType) {
+            const number = type === 'number' ? parseFloat(value) : Number(value);
+            if (!Number.isNaN(number) && numberType.accepts(number)) options[key] = number;
+        } else {
+            options[key] = value;
+        }
+    }
+    return options;
+}
+
+module.exports = {
+    COMMANDS,
+    OPTIONS,
+    ENVIRONMENT,
+    CliError,
+    parseArgs,
+    environmentOptions
+};
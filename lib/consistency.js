@@ -0,0 +1,279 @@
+const path = require('path');
+const { editDistance } = require('./validation');
+const { formatSeconds, hasTiming } = require('./qc');
+const { primaryLanguage, splitLanguageSuffix } = require('./language');
+
+// Checks across files, once every file has been checked on its own:
+//
+//   term-variant   a name or term spelled more than one way ("Katerina" and
+//                  "Katarina", "Jean-Luc" and "Jean Luc", "e-mail" and "email")
+//   cue-count      parallel tracks of one episode (ep1.en.vtt, ep1.fr.vtt) with
+//                  a different number of cues
+//   timing-drift   parallel tracks whose cues start or end further apart than
+//                  the allowed drift
+//
+// Spellings are only compared within a language. A name is a capitalised word
+// that is never written in lower case; two names a letter or two apart are
+// only compared when one of them is capitalised in the middle of a sentence,
+// so a word that merely starts sentences is not taken for a name. Names that
+// really are different ("Maria" and "Marie") are left alone when both are in
+// the glossary.
+const DEFAULT_MAX_DRIFT_MS = 500;
+
+// Shorter names are too often one letter from another real name
+const MIN_NAME_LENGTH = 5;
+
+// Places kept for each spelling; the count covers all of them
+const MAX_OCCURRENCES = 20;
+
+const WORD = /[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu;
+const SENTENCE_START = /(?:^|\n|[.!?…]["”»)]?\s+)(?:[-–—]\s*)?["“«(]?$/;
+
+function isCapitalised(text) {
+    return /^\p{Lu}/u.test(text);
+}
+
+function isAllCaps(text) {
+    return text.length > 1 && text === text.toUpperCase() && text !== text.toLowerCase();
+}
+
+// The spelling with accents, hyphens, spaces, apostrophes and case taken out
+function foldTerm(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '').replace(/[\s'’-]/g, '').toLowerCase();
+}
+
+// "Katerina" and "Katerinas" are the same name
+function isInflection(a, b) {
+    return [`${a}s`, `${a}es`].includes(b) || [`${b}s`, `${b}es`].includes(a);
+}
+
+function record(index, text, midSentence, at) {
+    if (text === text.toLowerCase()) index.lowercase.add(text);
+
+    const spelling = index.spellings.get(text) || { text, count: 0, midSentence: false, occurrences: [] };
+    spelling.count++;
+    spelling.midSentence = spelling.midSentence || (midSentence && isCapitalised(text));
+    if (spelling.occurrences.length < MAX_OCCURRENCES) spelling.occurrences.push(at);
+    index.spellings.set(text, spelling);
+}
+
+// Every spelling of every word, and of pairs of capitalised words ("Jean
+// Luc"), with the places it is used, per language
+function indexTerms(tracks) {
+    const languages = new Map();
+
+    for (const track of tracks) {
+        const language = primaryLanguage(track.language) || 'und';
+        if (!languages.has(language)) {
+            languages.set(language, { spellings: new Map(), lowercase: new Set() });
+        }
+        const index = languages.get(language);
+
+        for (const cue of track.document.cues) {
+            // Possessives count as the name itself
+            const words = [...cue.text.matchAll(WORD)]
+                .map(match => ({ text: match[0].replace(/['’]s$/iu, ''), start: match.index, end: match.index + match[0].length }))
+                .filter(word => !/\p{N}/u.test(word.text));
+
+            words.forEach((word, i) => {
+                const midSentence = !SENTENCE_START.test(cue.text.slice(0, word.start));
+                const at = { filename: track.filename, filePath: track.filePath, cue: cue.index, line: cue.line };
+                record(index, word.text, midSentence, at);
+
+                const next = words[i + 1];
+                if (next && isCapitalised(word.text) && isCapitalised(next.text) && cue.text.slice(word.end, next.start) === ' ') {
+                    record(index, `${word.text} ${next.text}`, midSentence, at);
+                }
+            });
+        }
+    }
+    return languages;
+}
+
+// Groups of spellings of one term: names that fold to the same letters or are
+// a letter or two apart, and words written with and without a hyphen
+function termVariants(index, protectedTerms) {
+    // One entry per spelling of a name, and per word whatever its case
+    const entries = new Map();
+    for (const spelling of index.spellings.values()) {
+        const { text } = spelling;
+        // Capitals are for signs and shouting
+        if (isAllCaps(text.replace(/\s/g, ''))) continue;
+
+        const name = isCapitalised(text) && text.split(' ').every(word => !index.lowercase.has(word.toLowerCase()));
+        if (!name && text.includes(' ')) continue;
+
+        const id = name ? text : text.toLowerCase();
+        const entry = entries.get(id) || { text: id, name, strong: false, count: 0, occurrences: [] };
+        entry.strong = entry.strong || spelling.midSentence;
+        entry.count += spelling.count;
+        entry.occurrences.push(...spelling.occurrences.slice(0, MAX_OCCURRENCES - entry.occurrences.length));
+        entries.set(id, entry);
+    }
+
+    const list = [...entries.values()];
+    const folded = list.map(entry => (entry.name ? foldTerm(entry.text) : entry.text.replace(/-/g, '')));
+    const isProtected = list.map(entry => protectedTerms.has(entry.text.toLowerCase()));
+
+    const parent = list.map((entry, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const join = (a, b) => {
+        if (!(isProtected[a] && isProtected[b])) parent[find(a)] = find(b);
+    };
+
+    const byKey = new Map();
+    list.forEach((entry, i) => {
+        const same = byKey.get(folded[i]);
+        if (same === undefined) byKey.set(folded[i], i);
+        else join(same, i);
+    });
+
+    // Names a letter or two apart, compared within their first letter
+    const names = new Map();
+    list.forEach((entry, i) => {
+        if (!entry.name || entry.text.includes(' ') || folded[i].length < MIN_NAME_LENGTH) return;
+        const initial = folded[i][0];
+        if (!names.has(initial)) names.set(initial, []);
+        names.get(initial).push(i);
+    });
+    for (const group of names.values()) {
+        for (let x = 0; x < group.length; x++) {
+            for (let y = x + 1; y < group.length; y++) {
+                const [i, j] = [group[x], group[y]];
+                const [a, b] = [folded[i], folded[j]];
+                if (a === b || !(list[i].strong || list[j].strong)) continue;
+                if (Math.abs(a.length - b.length) > 2 || isInflection(a, b)) continue;
+                if (editDistance(a, b) <= (Math.min(a.length, b.length) >= 8 ? 2 : 1)) join(i, j);
+            }
+        }
+    }
+
+    const clusters = new Map();
+    list.forEach((entry, i) => {
+        const root = find(i);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(entry);
+    });
+
+    return [...clusters.values()]
+        .filter(cluster => cluster.length > 1)
+        .map(cluster => cluster
+            .map(entry => ({
+                text: entry.text,
+                count: entry.count,
+                files: [...new Set(entry.occurrences.map(at => at.filename))],
+                occurrences: entry.occurrences
+            }))
+            .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text)))
+        .sort((a, b) => a[0].text.localeCompare(b[0].text));
+}
+
+function describeVariants(variants) {
+    return variants.map(({ text, count, files }) => {
+        const where = files.length === 1 ? files[0] : `${files.length} files`;
+        return `"${text}" (${count === 1 ? 'once' : `${count} times`} in ${where})`;
+    }).join(', ');
+}
+
+// Tracks of the same episode in other languages (or formats), keyed by the
+// episode: ep1.en.vtt and ep1.fr.vtt in one folder are both "ep1"
+function parallelTracks(tracks) {
+    const episodes = new Map();
+    for (const track of tracks) {
+        const { stem, language } = splitLanguageSuffix(track.filePath);
+        if (!language) continue;
+
+        const episode = path.join(path.dirname(track.filename), stem).split(path.sep).join('/');
+        if (!episodes.has(episode)) episodes.set(episode, []);
+        episodes.get(episode).push(track);
+    }
+
+    return [...episodes]
+        .filter(([, list]) => list.length > 1)
+        .map(([episode, list]) => [episode, list.sort((a, b) => a.filename.localeCompare(b.filename))]);
+}
+
+// Cues are paired by position; the first track of an episode is the reference
+function compareTracks(episode, reference, other, maxDriftMs) {
+    const referenceCues = reference.document.cues;
+    const cues = other.document.cues;
+    const shared = Math.min(referenceCues.length, cues.length);
+
+    let compared = 0;
+    const drifts = [];
+    for (let i = 0; i < shared; i++) {
+        const [expected, cue] = [referenceCues[i], cues[i]];
+        if (!hasTiming(expected) || !hasTiming(cue)) continue;
+        compared++;
+        const drift = Math.max(Math.abs(cue.startMs - expected.startMs), Math.abs(cue.endMs - expected.endMs));
+        if (drift > maxDriftMs) drifts.push({ cue, offset: cue.startMs - expected.startMs, drift });
+    }
+
+    const issue = (rule, cue, message) => ({
+        rule,
+        episode,
+        filename: other.filename,
+        filePath: other.filePath,
+        reference: reference.filename,
+        cue: cue ? cue.index : null,
+        line: cue ? cue.line : null,
+        message
+    });
+
+    if (referenceCues.length !== cues.length) {
+        const parted = drifts.length > 0 ? drifts[0].cue : null;
+        return [issue('cue-count', parted || cues[shared],
+            `${cues.length} cues, ${reference.filename} has ${referenceCues.length}` +
+            (parted ? `; the timings part at cue ${parted.index}` : ''))];
+    }
+    if (drifts.length === 0) return [];
+
+    // Every cue off by about the same amount is one sync offset
+    const offsets = drifts.map(drift => drift.offset);
+    if (drifts.length === compared && Math.max(...offsets) - Math.min(...offsets) <= maxDriftMs) {
+        const offset = offsets[0];
+        return [issue('timing-drift', drifts[0].cue,
+            `Every cue is about ${formatSeconds(Math.abs(offset))} ${offset > 0 ? 'later' : 'earlier'} than in ${reference.filename}`)];
+    }
+    const largest = Math.max(...drifts.map(drift => drift.drift));
+    return [issue('timing-drift', drifts[0].cue,
+        `${drifts.length} cues are more than ${formatSeconds(maxDriftMs)} off ${reference.filename}, ` +
+        `up to ${formatSeconds(largest)}, from cue ${drifts[0].cue.index}`)];
+}
+
+// tracks: [{ filename, filePath, language, document }]. Returns the spellings
+// that differ and the parallel tracks that do not line up:
+//
+//   { terms: [{ rule, language, variants: [{ text, count, files, occurrences }], message }],
+//     tracks: [{ rule, episode, filename, reference, cue, line, message }] }
+//
+// Variants are listed most used first.
+function checkConsistency(tracks, { protectedTerms = [], maxDriftMs = DEFAULT_MAX_DRIFT_MS } = {}) {
+    const protectedSet = new Set(protectedTerms.map(term => term.toLowerCase()));
+
+    const terms = [];
+    for (const [language, index] of indexTerms(tracks)) {
+        for (const variants of termVariants(index, protectedSet)) {
+            terms.push({
+                rule: 'term-variant',
+                language: language === 'und' ? null : language,
+                variants,
+                message: describeVariants(variants)
+            });
+        }
+    }
+
+    const mismatches = [];
+    for (const [episode, [reference, ...others]] of parallelTracks(tracks)) {
+        for (const other of others) {
+            mismatches.push(...compareTracks(episode, reference, other, maxDriftMs));
+        }
+    }
+
+    return { terms, tracks: mismatches };
+}
+
+module.exports = {
+    DEFAULT_MAX_DRIFT_MS,
+    checkConsistency
+};
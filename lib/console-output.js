@@ -0,0 +1,631 @@
+const chalk = require('chalk');
+const formats = require('./formats');
+
+// Console rendering for the CLI: listens to a SubtitleChecker's events and
+// prints progress, then the end-of-run report
+
+function describeCue(cue) {
+    // Accepts a parsed cue or an applied change, which carry the same fields
+    const number = cue.index !== undefined ? cue.index : cue.cue;
+    return cue.start ? `cue ${number} @ ${cue.start}` : `cue ${number}`;
+}
+
+// "spelling", or "style/quotes" for a house style rule
+function describeType(change) {
+    return change.rule ? `${change.type}/${change.rule}` : change.type;
+}
+
+// Cheap models cost fractions of a cent per file
+function formatCost(cost) {
+    if (cost === null) return 'no price known';
+    return `$${cost >= 0.01 || cost === 0 ? cost.toFixed(2) : cost.toFixed(6)}`;
+}
+
+// "80%", with who agreed or why when the verification says
+function describeConfidence(correction) {
+    const percent = `${Math.round(correction.confidence * 100)}%`;
+    if (correction.agreedBy) return `${percent}, proposed by ${correction.agreedBy.join(', ')}`;
+    return correction.verdict ? `${percent}, ${correction.verdict}` : percent;
+}
+
+function formatTokens(usage, approximately = '') {
+    return `${approximately}${usage.prompt_tokens} prompt + ${approximately}${usage.completion_tokens} completion tokens`;
+}
+
+function printBanner(checker) {
+    console.log(chalk.blue('🔍 Starting Subtitle Spell & Grammar Checker'));
+    console.log(chalk.gray(`Using ${checker.provider.describe()} with ${checker.maxConcurrency} concurrent requests\n`));
+    if (checker.dryRun) {
+        console.log(chalk.yellow('📝 Dry run: files will not be modified, corrections are written as patches\n'));
+    } else if (checker.command === 'check') {
+        console.log(chalk.yellow('📝 Check only: files will not be modified\n'));
+    } else if (checker.outputDir) {
+        console.log(chalk.yellow(`📝 Corrected files are written to ${checker.outputDir}, originals are left untouched\n`));
+    }
+    if (checker.gitMode()) {
+        const files = checker.gitStaged ? 'staged subtitles' : `subtitles changed since ${checker.gitSince}`;
+        console.log(chalk.gray(`🌿 Checking ${files}, ${checker.allCues ? 'every cue' : 'changed cues only'}\n`));
+    }
+}
+
+function attachConsole(checker) {
+    checker.on('setup', ({ providerConfigured, fallback, spellcheckMode, dictionaryLanguage, dictionaryDir, qcProfile, styleGuide, verification }) => {
+        if (!providerConfigured && (fallback || spellcheckMode !== 'only')) {
+            console.log(chalk.yellow('⚠️  Warning: OPENROUTER_API_KEY environment variable not set.'));
+            if (fallback) {
+                console.log(chalk.gray('Falling back to the offline dictionary check.\n'));
+            } else {
+                console.log(chalk.gray('Please set your OpenRouter API key: export OPENROUTER_API_KEY="your-api-key"\n'));
+            }
+        }
+        if (spellcheckMode === 'only') {
+            const dictionaries = dictionaryLanguage || 'dictionary per file language';
+            console.log(chalk.gray(`📖 Offline dictionary check only (${dictionaries}, ${dictionaryDir})\n`));
+        }
+        if (qcProfile) {
+            console.log(chalk.gray(`⏱️  Timing and layout QC with the ${qcProfile.name} profile\n`));
+        }
+        if (styleGuide) {
+            const rules = styleGuide.rules().map(rule => rule.id).join(', ');
+            console.log(chalk.gray(`🎨 House style ${styleGuide.name}: ${rules}\n`));
+        }
+        if (verification) {
+            const threshold = `corrections below ${Math.round(verification.minConfidence * 100)}% confidence are only suggested`;
+            const by = verification.mode === 'consensus'
+                ? `consensus of ${verification.models.join(', ')}`
+                : `${verification.models[0]} confirming its own corrections`;
+            console.log(chalk.gray(`🗳️  Verified by ${by}; ${threshold}\n`));
+        }
+    });
+
+    checker.on('state-loaded', ({ files }) => {
+        console.log(chalk.gray(`📄 Loaded processing state for ${files} files`));
+    });
+
+    checker.on('subtitles-dir-created', ({ dir }) => {
+        console.log(chalk.red(`❌ Subtitles directory not found: ${dir}`));
+        console.log(chalk.gray('Creating subtitles directory...'));
+        console.log(chalk.green('✅ Subtitles directory created. Please add subtitle files to check, or pass files and folders as arguments.\n'));
+    });
+
+    checker.on('warning', ({ filename, message }) => {
+        console.log(chalk.yellow(`${filename ? '   ' : ''}⚠️  ${message}`));
+    });
+
+    checker.on('failure', ({ filename, message, error }) => {
+        const indent = filename ? '   ' : '';
+        console.error(chalk.red(`${indent}❌ ${message}:`), error.message);
+        if (error.response) {
+            console.error(chalk.red(`${indent}API Response:`), error.response.status, error.response.data);
+        }
+    });
+
+    checker.on('files-found', ({ files, toProcess, skipped }) => {
+        if (files.length === 0 && checker.gitMode()) {
+            console.log(chalk.green('✨ No subtitle files changed.'));
+            return;
+        }
+        if (files.length === 0) {
+            console.log(chalk.yellow('⚠️  No subtitle files found.'));
+            console.log(chalk.gray(`   Supported extensions: ${formats.supportedExtensions().join(', ')}`));
+            return;
+        }
+
+        console.log(chalk.green(`📁 Found ${files.length} subtitle files to check:\n`));
+
+        // Show processing plan
+        if (skipped.length > 0) {
+            console.log(chalk.gray(`⏭️  Skipping ${skipped.length} unchanged files:`));
+            for (const { filename, reason } of skipped) {
+                console.log(chalk.gray(`   • ${filename} (${reason})`));
+            }
+            console.log();
+        }
+
+        if (toProcess.length === 0) {
+            console.log(chalk.green('✨ All files are up to date! Use --force to reprocess all files.\n'));
+            return;
+        }
+
+        console.log(chalk.cyan(`🔄 Processing ${toProcess.length} files with ${checker.maxConcurrency} concurrent requests:`));
+        for (const { filename, reason } of toProcess) {
+            console.log(chalk.cyan(`   • ${filename} (${reason})`));
+        }
+        console.log();
+    });
+
+    checker.on('file-start', ({ filename }) => {
+        console.log(chalk.cyan(`🔍 Checking: ${filename}`));
+    });
+
+    checker.on('file-empty', ({ filename }) => {
+        console.log(chalk.yellow(`   ⚠️  No text content found in ${filename}\n`));
+    });
+
+    checker.on('file-language', ({ language }) => {
+        console.log(chalk.gray(`   🌐 ${language.name} (${language.code}, from ${language.source})`));
+    });
+
+    checker.on('file-changes', ({ cues, total }) => {
+        console.log(chalk.gray(`   🌿 ${cues} of ${total} cues changed`));
+    });
+
+    checker.on('file-qc', ({ findings }) => {
+        console.log(chalk.yellow(`   ⏱️  ${findings.length} timing and layout issues`));
+    });
+
+    checker.on('file-windows', ({ filename, windows }) => {
+        console.log(chalk.gray(`   ✂️  Split ${filename} into ${windows} windows of cues`));
+    });
+
+    checker.on('consistency', ({ files, terms, tracks }) => {
+        console.log(chalk.gray(`🔗 Compared ${files} files: ${terms.length} spelling variants, ${tracks.length} track mismatches`));
+    });
+
+    checker.on('retry', ({ filename, status, delay, attempt, retries }) => {
+        console.log(chalk.yellow(`   ↻ ${filename}: ${status}, retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${retries})`));
+    });
+
+    checker.on('corrections-start', ({ filename, corrections }) => {
+        console.log(chalk.cyan(`   🔧 Applying ${corrections.length} corrections to ${filename}...`));
+    });
+
+    checker.on('correction-applied', ({ change }) => {
+        console.log(chalk.gray(`     • ${describeType(change)} [${describeCue(change)}]: "${change.original}" → "${change.corrected}"`));
+    });
+
+    checker.on('correction-skipped', ({ correction }) => {
+        console.log(chalk.yellow(`     ⚠️  Not applied: "${correction.original}" (${correction.reason})`));
+    });
+
+    checker.on('correction-suggested', ({ correction }) => {
+        console.log(chalk.blue(`     💡 Suggested only: "${correction.original}" → "${correction.corrected}" (${describeConfidence(correction)})`));
+    });
+
+    checker.on('corrections-done', ({ changesCount, patched, outputPath, backupRun }) => {
+        if (outputPath) {
+            console.log(chalk.green(`     ✅ ${changesCount} corrections applied, written to ${checker.displayName(outputPath)}`));
+        } else if (backupRun) {
+            console.log(chalk.green(`     ✅ ${changesCount} corrections applied, original saved in backup run ${backupRun}`));
+        } else if (patched) {
+            console.log(chalk.green(`     ✅ ${changesCount} corrections recorded as a patch, file left untouched`));
+        } else {
+            console.log(chalk.green(`     ✅ ${changesCount} corrections proposed, file left untouched`));
+        }
+    });
+
+    checker.on('file-done', ({ result }) => {
+        const changesCount = result.applied.length;
+        const suggested = result.suggestions.length > 0 ? `, ${result.suggestions.length} suggested for review` : '';
+        if (result.status === 'skipped') {
+            console.log(chalk.yellow(`   ⏭️  Skipped: ${result.message}\n`));
+        } else if (result.partial) {
+            // Some windows answered and some did not
+            console.log(chalk.red(`   ❌ Only partly checked: ${result.message}\n`));
+        } else if (result.status === 'error') {
+            console.log(chalk.red(`   ❌ Analysis failed: ${result.message}\n`));
+        } else if (changesCount > 0 && result.dryRun) {
+            const outcome = checker.dryRun ? 'written to patch' : 'proposed';
+            console.log(chalk.green(`   ✅ Analysis complete - ${changesCount} corrections ${outcome}${suggested}\n`));
+        } else if (changesCount > 0) {
+            console.log(chalk.green(`   ✅ Analysis complete - ${changesCount} corrections applied${suggested}\n`));
+        } else if (suggested) {
+            console.log(chalk.green(`   ✅ Analysis complete - ${result.suggestions.length} corrections suggested for review\n`));
+        } else {
+            console.log(chalk.green(`   ✅ Analysis complete\n`));
+        }
+    });
+
+    checker.on('file-error', ({ filename, error }) => {
+        console.error(chalk.red(`   ❌ Error processing ${filename}:`), error.message);
+    });
+
+    checker.on('file-patched', ({ filename, backupRun }) => {
+        console.log(chalk.green(`   ✅ ${filename} patched, original saved in backup run ${backupRun}`));
+    });
+
+    checker.on('undo-start', ({ run }) => {
+        console.log(chalk.blue(`↩️  Undoing ${run.action} run ${run.id} (${run.files.length} files)\n`));
+    });
+
+    checker.on('file-restored', ({ filename, runId }) => {
+        console.log(chalk.green(`   ✅ ${filename} restored to its version before run ${runId}`));
+    });
+
+    return checker;
+}
+
+// Only what needs attention, for a git hook: warnings and failures
+function attachQuietConsole(checker) {
+    checker.on('warning', ({ message }) => {
+        console.error(chalk.yellow(`⚠️  ${message}`));
+    });
+
+    checker.on('failure', ({ message, error }) => {
+        console.error(chalk.red(`❌ ${message}:`), error.message);
+    });
+
+    return checker;
+}
+
+// "episode1.vtt:12:5", or as much of it as is known
+function location(filename, line, column) {
+    return [filename, line, column].filter(part => part !== null && part !== undefined).join(':');
+}
+
+// One line per finding, "file:line:column: type: ...", the form editors and
+// CI logs link to the place in the file
+function printFindings(checker) {
+    const report = checker.buildReport();
+    const files = `${checker.gitStaged ? 'staged ' : ''}subtitle files`;
+    if (report.files.length === 0) {
+        console.log(chalk.green(`✨ No ${files} to check`));
+        return;
+    }
+
+    for (const file of report.files) {
+        if (file.status === 'error') {
+            console.log(chalk.red(`${file.filename}: error: ${file.message}`));
+        } else if (file.status === 'skipped') {
+            console.log(chalk.yellow(`${file.filename}: skipped: ${file.message}`));
+        }
+        for (const finding of file.findings) {
+            const change = finding.manual ? `"${finding.original}"` : `"${finding.original}" → "${finding.corrected}"`;
+            const notes = [finding.explanation, finding.confidence !== undefined && `${Math.round(finding.confidence * 100)}% confidence`].filter(Boolean);
+            console.log(`${chalk.cyan(location(file.filename, finding.line, finding.column))}: ${chalk.red(describeType(finding))}: ${change}` +
+                (notes.length > 0 ? chalk.gray(` (${notes.join(', ')})`) : ''));
+        }
+        for (const issue of file.qc) {
+            console.log(`${chalk.cyan(location(file.filename, issue.line))}: ${chalk.yellow(`qc/${issue.rule}`)}: ${issue.message}`);
+        }
+    }
+
+    const { consistency } = report;
+    if (consistency) {
+        for (const term of consistency.terms) {
+            // Each less used spelling where it first appears
+            for (const variant of term.variants.slice(1)) {
+                const [at] = variant.occurrences;
+                console.log(`${chalk.cyan(location(at.filename, at.line))}: ${chalk.yellow(term.rule)}: "${variant.text}", elsewhere "${term.variants[0].text}" (${term.message})`);
+            }
+        }
+        for (const issue of consistency.tracks) {
+            console.log(`${chalk.cyan(location(issue.filename, issue.line))}: ${chalk.yellow(issue.rule)}: ${issue.message}`);
+        }
+    }
+
+    const { totals } = report;
+    const issues = totals.findings + totals.qc + totals.consistency;
+    const checked = `${totals.files} ${files}`;
+    // Skipped for a missing API key or an exhausted budget: nothing was checked
+    const skipped = report.files.filter(file => file.status === 'skipped').length;
+    if (totals.failed > 0) {
+        console.log(chalk.red(`\n❌ ${totals.failed} of ${checked} could not be checked`));
+    } else if (skipped > 0) {
+        console.log(chalk.red(`\n❌ ${skipped} of ${checked} were skipped, not checked`));
+    } else if (checker.getExitCode() > 0) {
+        console.log(chalk.red(`\n❌ ${issues} issues in ${checked}`));
+    } else if (issues > 0) {
+        // Only corrections too uncertain to apply, which do not fail the check
+        console.log(chalk.blue(`\n💡 ${issues} suggestions to review in ${checked}`));
+    } else {
+        console.log(chalk.green(`✨ No issues in ${checked}`));
+    }
+}
+
+function printHistory(runs) {
+    if (runs.length === 0) {
+        console.log(chalk.yellow('No backup runs recorded yet.'));
+        return;
+    }
+
+    console.log(chalk.blue('🗂️  BACKUP RUNS'));
+    console.log(chalk.blue('─'.repeat(20)));
+    for (const run of runs) {
+        const undone = run.undoneAt ? chalk.gray(' (undone)') : '';
+        console.log(chalk.cyan(`${run.id}  ${run.action}, ${run.files.length} files${undone}`));
+        for (const entry of run.files) {
+            const changes = entry.changes.length > 0 ? ` (${entry.changes.length} corrections)` : '';
+            console.log(chalk.gray(`   • ${entry.filename}${changes}`));
+        }
+    }
+    console.log(chalk.gray('\nRestore with: node subtitle-checker.js restore [files] --run <id>'));
+}
+
+function printReportOutputs(checker) {
+    if (checker.reportOutputs.length === 0) return;
+    console.log(chalk.gray('\n📑 Reports written:'));
+    for (const outputPath of checker.reportOutputs) {
+        console.log(chalk.gray(`   • ${checker.displayName(outputPath)}`));
+    }
+}
+
+// The end-of-run report, from the results the checker kept, followed by
+// the report files it wrote
+function printReport(checker) {
+    printResults(checker);
+    const report = checker.buildReport();
+    printConsistency(report);
+    printSpend(report);
+    printReportOutputs(checker);
+}
+
+// Spellings that differ between files, and parallel tracks that do not line up
+function printConsistency(report) {
+    const { consistency } = report;
+    if (!consistency) return;
+
+    console.log(chalk.blue('\n🔗 CONSISTENCY'));
+    console.log(chalk.blue('─'.repeat(20)));
+    if (consistency.terms.length === 0 && consistency.tracks.length === 0) {
+        console.log(chalk.green('✨ Names are spelled the same way everywhere, and parallel tracks line up'));
+        return;
+    }
+
+    if (consistency.terms.length > 0) {
+        console.log(chalk.yellow(`🔤 Spelled more than one way (${consistency.terms.length}):`));
+        for (const term of consistency.terms) {
+            console.log(chalk.yellow(`   • ${term.message}`));
+            // Where the less used spellings are, to find them quickly
+            for (const variant of term.variants.slice(1)) {
+                const places = variant.occurrences.slice(0, 3).map(at => `${at.filename} cue ${at.cue}`);
+                const more = variant.count > places.length ? `, ${variant.count - places.length} more` : '';
+                console.log(chalk.gray(`     "${variant.text}": ${places.join(', ')}${more}`));
+            }
+        }
+    }
+
+    if (consistency.tracks.length > 0) {
+        console.log(chalk.yellow(`🎞️  Parallel tracks (${consistency.tracks.length}):`));
+        for (const issue of consistency.tracks) {
+            console.log(chalk.yellow(`   • ${issue.rule} [${issue.filename}]: ${issue.message}`));
+        }
+    }
+}
+
+// Tokens and cost of the responses this run paid for, by file and by model
+function printSpend(report) {
+    const billed = report.files.filter(file => file.usage && !file.cached);
+    if (report.totals.usage.total_tokens === 0) return;
+
+    console.log(chalk.blue('\n💰 TOKENS AND COST'));
+    console.log(chalk.blue('─'.repeat(20)));
+    for (const file of billed) {
+        console.log(chalk.white(`   • ${file.filename}: ${formatTokens(file.usage)}, ${formatCost(file.cost)}`));
+    }
+    console.log(chalk.gray('\nBy model:'));
+    for (const spend of report.models) {
+        console.log(chalk.white(`   • ${spend.model}: ${spend.files} files, ${formatTokens(spend)}, ${formatCost(spend.cost)}`));
+    }
+    const unpriced = report.models.filter(spend => spend.cost === null).map(spend => spend.model);
+    console.log(chalk.cyan(`\nTotal: ${formatTokens(report.totals.usage)}, ${formatCost(report.totals.cost)}`));
+    if (unpriced.length > 0) {
+        console.log(chalk.yellow(`⚠️  No price for ${unpriced.join(', ')}; add it with --pricing <file>`));
+    }
+}
+
+// The projected cost from checker.estimateRun(); nothing has been sent
+function printEstimate(estimate) {
+    console.log(chalk.blue('\n💰 ESTIMATED COST (no API calls made)'));
+    console.log(chalk.blue('═'.repeat(50)));
+
+    if (!estimate.model) {
+        console.log(chalk.green('Dictionary check only: no model requests, no cost.'));
+    } else if (estimate.price) {
+        console.log(chalk.gray(`${estimate.provider}: $${estimate.price.prompt} / $${estimate.price.completion} per million prompt / completion tokens\n`));
+    } else {
+        console.log(chalk.yellow(`⚠️  No price for ${estimate.model}; add it with --pricing <file>\n`));
+    }
+
+    for (const file of estimate.files) {
+        if (file.overBudget) {
+            console.log(chalk.yellow(`   ⏭️  ${file.filename}: not sent, ${file.overBudget}`));
+        } else if (file.windows > 0 && file.cachedWindows === file.windows) {
+            console.log(chalk.gray(`   • ${file.filename}: every response is cached, no cost`));
+        } else {
+            const cached = file.cachedWindows > 0 ? `, ${file.cachedWindows} cached` : '';
+            console.log(chalk.white(`   • ${file.filename}: ${formatTokens(file, '~')} in ${file.windows} windows${cached}, ${formatCost(file.cost)}`));
+        }
+    }
+
+    const { totals } = estimate;
+    console.log(chalk.cyan(`\nTotal for ${totals.files} files: ${formatTokens(totals, '~')}, ${formatCost(totals.cost)}`));
+    if (totals.overBudget > 0) {
+        console.log(chalk.yellow(`⏭️  ${totals.overBudget} files would be skipped by the token budget`));
+    }
+    if (estimate.skipped.length > 0) {
+        console.log(chalk.gray(`⏭️  ${estimate.skipped.length} unchanged files not counted; add --force to include them`));
+    }
+    console.log(chalk.gray('Completion tokens are a rough guess; the real usage is in the report after a run.'));
+}
+
+function printResults(checker) {
+    console.log(chalk.blue('\n📊 SUBTITLE CHECKING REPORT'));
+    console.log(chalk.blue('═'.repeat(50)));
+
+    if (checker.results.length === 0) {
+        console.log(chalk.yellow('No files were processed.'));
+        return;
+    }
+
+    let successCount = 0;
+    let errorCount = 0;
+
+    for (const result of checker.results) {
+        const details = [result.format, result.language && `${result.language.name}, ${result.language.code}`].filter(Boolean);
+        console.log(chalk.cyan(`\n📄 File: ${result.filename}${details.length > 0 ? chalk.gray(` (${details.join(', ')})`) : ''}`));
+        console.log(chalk.gray('─'.repeat(30)));
+
+        if (result.error) {
+            console.log(chalk.red(`❌ Error: ${result.error}`));
+            errorCount++;
+        } else if (result.analysis.status === 'skipped') {
+            console.log(chalk.yellow(`⏭️  Skipped: ${result.analysis.message}`));
+        } else if (result.analysis.status === 'success') {
+            console.log(chalk.green('✅ Analysis Results:'));
+            
+            // Show summary if available
+            if (result.analysis.summary) {
+                console.log(chalk.white(`📊 Summary:`));
+                console.log(chalk.white(`   • Spelling errors: ${result.analysis.summary.spellingErrors || 0}`));
+                console.log(chalk.white(`   • Grammar errors: ${result.analysis.summary.grammarErrors || 0}`));
+                if (result.analysis.summary.styleIssues !== undefined) {
+                    console.log(chalk.white(`   • Style issues: ${result.analysis.summary.styleIssues}`));
+                }
+                console.log(chalk.white(`   • Quality: ${result.analysis.summary.overallQuality || 'N/A'}`));
+            }
+            
+            // Show corrections applied
+            if (result.fixResult && result.fixResult.success && result.fixResult.changesCount > 0) {
+                const heading = result.fixResult.dryRun ? 'Corrections Proposed' : 'Corrections Applied';
+                console.log(chalk.cyan(`\n🔧 ${heading} (${result.fixResult.changesCount}):`));
+                for (const change of result.fixResult.appliedChanges) {
+                    const confidence = change.confidence !== undefined ? chalk.gray(` (${Math.round(change.confidence * 100)}%)`) : '';
+                    console.log(chalk.white(`   • ${describeType(change)} [${describeCue(change)}]: "${change.original}" → "${change.corrected}"`) + confidence);
+                    if (change.explanation) {
+                        console.log(chalk.gray(`     ${change.explanation}`));
+                    }
+                }
+            } else if (result.analysis.corrections && result.analysis.corrections.length === 0) {
+                console.log(chalk.green(`\n✨ No errors found - text is already correct!`));
+            }
+
+            if (result.fixResult && result.fixResult.skippedChanges && result.fixResult.skippedChanges.length > 0) {
+                console.log(chalk.yellow(`\n⚠️  Corrections Not Applied (${result.fixResult.skippedChanges.length}):`));
+                for (const skipped of result.fixResult.skippedChanges) {
+                    // Manual style findings have nothing to change the text to
+                    const change = skipped.manual ? `"${skipped.original}"` : `"${skipped.original}" → "${skipped.corrected}"`;
+                    console.log(chalk.yellow(`   • ${change} (${skipped.reason})`));
+                }
+            }
+
+            const suggestions = (result.fixResult && result.fixResult.suggestions) || [];
+            if (suggestions.length > 0) {
+                console.log(chalk.blue(`\n💡 Suggestions for Review (${suggestions.length}):`));
+                for (const suggestion of suggestions) {
+                    console.log(chalk.blue(`   • ${describeType(suggestion)} [${describeCue(suggestion)}]: "${suggestion.original}" → "${suggestion.corrected}" (${describeConfidence(suggestion)})`));
+                    if (suggestion.explanation) {
+                        console.log(chalk.gray(`     ${suggestion.explanation}`));
+                    }
+                }
+            }
+
+            if (result.analysis.suppressed && result.analysis.suppressed.length > 0) {
+                console.log(chalk.magenta(`\n🛡️  Suppressed by Glossary (${result.analysis.suppressed.length}):`));
+                for (const suppressed of result.analysis.suppressed) {
+                    console.log(chalk.magenta(`   • [cue ${suppressed.cue}] "${suppressed.original}" → "${suppressed.corrected}" (${suppressed.reason})`));
+                }
+            }
+            
+            if (result.analysis.rejected && result.analysis.rejected.length > 0) {
+                console.log(chalk.red(`\n🚫 Rejected by Safety Checks (${result.analysis.rejected.length}):`));
+                for (const rejected of result.analysis.rejected) {
+                    // Malformed corrections may lack any of these fields
+                    const cue = rejected.cue !== undefined ? `[cue ${rejected.cue}] ` : '';
+                    const change = [rejected.original, rejected.corrected]
+                        .filter(text => text !== undefined).map(text => `"${text}"`).join(' → ');
+                    console.log(chalk.red(`   • ${cue}${change} (${rejected.reason})`));
+                }
+            }
+            
+            console.log(chalk.white(`\n📝 Detailed Analysis:`));
+            console.log(chalk.white(result.analysis.analysis));
+            
+            if (result.analysis.windows > 1) {
+                console.log(chalk.gray(`\nAnalysed in ${result.analysis.windows} windows of cues`));
+            }
+            for (const failed of result.analysis.failedWindows || []) {
+                console.log(chalk.yellow(`⚠️  Window ${failed.window} was not analysed: ${failed.message}`));
+            }
+
+            if (result.analysis.usage) {
+                const cached = result.analysis.cached ? ' (cached response, no API call)' : '';
+                console.log(chalk.gray(`\nTokens used: ${result.analysis.usage.total_tokens}${cached}`));
+            }
+            if (result.analysis.failedWindows && result.analysis.failedWindows.length > 0) {
+                errorCount++;
+            } else {
+                successCount++;
+            }
+        } else {
+            console.log(chalk.red(`❌ Analysis failed: ${result.analysis.message}`));
+            errorCount++;
+        }
+
+        // Timing and layout findings do not depend on the model, so they show for skipped files too
+        if (result.qc && result.qc.length > 0) {
+            console.log(chalk.yellow(`\n⏱️  Timing and Layout (${result.qc.length}):`));
+            for (const issue of result.qc) {
+                console.log(chalk.yellow(`   • ${issue.rule} [${describeCue(issue)}]: ${issue.message}`));
+            }
+        }
+    }
+
+    console.log(chalk.blue('\n📈 SUMMARY'));
+    console.log(chalk.blue('─'.repeat(20)));
+    console.log(chalk.green(`✅ Successfully analyzed: ${successCount} files`));
+    console.log(chalk.red(`❌ Errors encountered: ${errorCount} files`));
+    console.log(chalk.gray(`📁 Total files processed: ${checker.results.length}`));
+    const qcCount = checker.results.reduce((sum, result) => sum + ((!result.error && result.qc) || []).length, 0);
+    if (qcCount > 0) {
+        console.log(chalk.yellow(`⏱️  Timing and layout issues: ${qcCount}`));
+    }
+    const suggestionCount = checker.results.reduce((sum, result) => sum + ((result.fixResult && result.fixResult.suggestions) || []).length, 0);
+    if (suggestionCount > 0) {
+        console.log(chalk.blue(`💡 Corrections suggested for review: ${suggestionCount}`));
+    }
+    if (checker.responseCache.hits > 0) {
+        console.log(chalk.gray(`💾 Cached responses reused: ${checker.responseCache.hits}`));
+    }
+
+    // Show summary of fixes
+    if (checker.fixedFiles.length > 0) {
+        const totalCorrections = checker.fixedFiles.reduce((sum, file) => sum + file.changesCount, 0);
+        console.log(chalk.cyan(`\n🔧 CORRECTIONS APPLIED`));
+        console.log(chalk.cyan('─'.repeat(25)));
+        console.log(chalk.white(`📝 Files corrected: ${checker.fixedFiles.length}`));
+        console.log(chalk.white(`🔄 Total corrections: ${totalCorrections}`));
+        
+        console.log(chalk.gray('\n📋 Fixed files:'));
+        for (const fixedFile of checker.fixedFiles) {
+            console.log(chalk.white(`   • ${fixedFile.filename}: ${fixedFile.changesCount} corrections`));
+            if (fixedFile.outputPath) {
+                console.log(chalk.gray(`     Output: ${checker.displayName(fixedFile.outputPath)}`));
+            } else {
+                console.log(chalk.gray(`     Backup: ${checker.displayName(fixedFile.backupPath)}`));
+            }
+        }
+        
+        const backupRun = checker.fixedFiles.map(fixedFile => fixedFile.backupRun).find(Boolean);
+        if (backupRun) {
+            console.log(chalk.yellow(`\n💡 Note: Original files have been saved in backup run ${backupRun}`));
+            console.log(chalk.yellow('   Revert with: node subtitle-checker.js undo'));
+        }
+    } else if (checker.patches.length > 0) {
+        const totalCorrections = checker.patches.reduce((sum, file) => sum + file.changesCount, 0);
+        console.log(chalk.cyan(`\n📝 PATCHES WRITTEN (DRY RUN)`));
+        console.log(chalk.cyan('─'.repeat(25)));
+        console.log(chalk.white(`📝 Files with proposed corrections: ${checker.patches.length}`));
+        console.log(chalk.white(`🔄 Total corrections: ${totalCorrections}`));
+        for (const patchPath of checker.patchOutputs) {
+            console.log(chalk.gray(`   • ${checker.displayName(patchPath)}`));
+        }
+        console.log(chalk.yellow('\n💡 Review the patches, then apply them with: node subtitle-checker.js apply-patch <file>'));
+    } else if (suggestionCount > 0 && checker.results.every(result => !result.fixResult || result.fixResult.changesCount === 0)) {
+        console.log(chalk.blue(`\n💡 No correction was certain enough to apply; review the suggestions above`));
+    } else if (qcCount > 0) {
+        console.log(chalk.green(`\n✨ No spelling or grammar corrections needed`));
+    } else {
+        console.log(chalk.green(`\n✨ No corrections needed - all files are already error-free!`));
+    }
+}
+
+module.exports = {
+    attachConsole,
+    attachQuietConsole,
+    printBanner,
+    printFindings,
+    printReport,
+    printEstimate,
+    printHistory
+};
@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { estimateTokens } = require('./chunking');
+
+// US dollars per million prompt and completion tokens, keyed by model name as
+// passed to --model. Prices change: check the provider's current list, and
+// add or override models with --pricing <file> (same shape as this table).
+// Models ending in ":free" cost nothing.
+const PRICING = {
+    'deepseek/deepseek-r1-0528-qwen3-8b': { prompt: 0.02, completion: 0.10 },
+    'deepseek/deepseek-chat': { prompt: 0.27, completion: 1.10 },
+    'deepseek/deepseek-chat-v3-0324': { prompt: 0.27, completion: 1.10 },
+    'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+    'openai/gpt-4o': { prompt: 2.50, completion: 10.00 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+    'gpt-4o': { prompt: 2.50, completion: 10.00 },
+    mock: { prompt: 0, completion: 0 }
+};
+
+// Chat framing added to every message on top of its text
+const MESSAGE_OVERHEAD = 4;
+
+// The reply is a summary and an analysis plus the corrections, which repeat a
+// fraction of the cue text; a rough guess until the real usage comes back
+const COMPLETION_BASE = 200;
+const COMPLETION_SHARE = 0.3;
+
+function estimatePromptTokens(messages) {
+    return messages.reduce((sum, message) => sum + estimateTokens(message.content) + MESSAGE_OVERHEAD, 0);
+}
+
+function estimateCompletionTokens(window, maxTokens) {
+    const estimate = COMPLETION_BASE + Math.ceil(window.tokens * COMPLETION_SHARE);
+    return maxTokens ? Math.min(estimate, maxTokens) : estimate;
+}
+
+class Pricing {
+    constructor(prices = PRICING) {
+        this.prices = prices;
+    }
+
+    static async load(pricingFile) {
+        if (!pricingFile) return new Pricing();
+        const custom = await fs.readJson(path.resolve(pricingFile));
+        for (const [model, price] of Object.entries(custom)) {
+            if (!price || typeof price.prompt !== 'number' || typeof price.completion !== 'number') {
+                throw new Error(`Pricing file ${pricingFile}: "${model}" needs numeric "prompt" and "completion" prices`);
+            }
+        }
+        return new Pricing({ ...PRICING, ...custom });
+    }
+
+    // { prompt, completion } per million tokens, or null when the price is
+    // unknown. Dated snapshots such as "gpt-4o-mini-2024-07-18", which some
+    // APIs report back, use the price of the model they start with.
+    priceFor(model) {
+        if (!model) return null;
+        if (this.prices[model]) return this.prices[model];
+        if (model.endsWith(':free')) return { prompt: 0, completion: 0 };
+
+        const base = Object.keys(this.prices)
+            .filter(name => model.startsWith(`${name}-`))
+            .sort((a, b) => b.length - a.length)[0];
+        return base ? this.prices[base] : null;
+    }
+
+    // Dollars for a usage record, or null when the model has no price
+    costOf(usage, model) {
+        const price = this.priceFor(model);
+        if (!price) return null;
+        if (!usage) return 0;
+        return ((usage.prompt_tokens || 0) * price.prompt + (usage.completion_tokens || 0) * price.completion) / 1e6;
+    }
+}
+
+// Per-file and per-run token limits. A file is admitted with its estimate
+// reserved against the run budget, and the reservation is swapped for the
+// real usage once its responses are in, so files checked in parallel cannot
+// overshoot the budget together.
+class TokenBudget {
+    constructor({ perFile, perRun } = {}) {
+        this.perFile = perFile || null;
+        this.perRun = perRun || null;
+        this.used = 0;
+    }
+
+    // Reason the file may not be sent, or null after reserving its tokens
+    reserve(tokens) {
+        if (this.perFile && tokens > this.perFile) {
+            return `estimated ${tokens} tokens is over the per-file budget of ${this.perFile}`;
+        }
+        if (this.perRun && this.used + tokens > this.perRun) {
+            return `estimated ${tokens} tokens would go over the run budget (${this.perRun - this.used} of ${this.perRun} left)`;
+        }
+        this.used += tokens;
+        return null;
+    }
+
+    settle(reserved, actual) {
+        this.used += actual - reserved;
+    }
+}
+
+module.exports = {
+    PRICING,
+    Pricing,
+    TokenBudget,
+    estimatePromptTokens,
+    estimateCompletionTokens
+};
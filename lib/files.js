@@ -0,0 +1,85 @@
+const fs = require('fs-extra');
+const path = require('path');
+const fg = require('fast-glob');
+
+// Resolve the file, directory and glob arguments into subtitle files. Each
+// file remembers the root it was found under, so per-folder glossaries and
+// --output-dir can mirror the folder structure below it.
+
+const GLOB_CHARS = /[*?[\]{}]/;
+
+// Folders that never contain subtitles worth checking
+const IGNORED_DIRS = new Set(['node_modules', '.git', 'patches', 'reports']);
+
+function isGlob(pattern) {
+    return GLOB_CHARS.test(pattern);
+}
+
+// The directory part of a glob before its first wildcard ("season*/ep*.vtt" -> ".")
+function globBase(pattern) {
+    const parts = pattern.split(/[\\/]/);
+    const base = [];
+    for (const part of parts.slice(0, -1)) {
+        if (isGlob(part)) break;
+        base.push(part);
+    }
+    return base.length === 0 ? '.' : base.join('/') || '/';
+}
+
+async function walk(dir, isSupported, files) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!entry.name.startsWith('.') && !IGNORED_DIRS.has(entry.name)) {
+                await walk(entryPath, isSupported, files);
+            }
+        } else if (entry.isFile() && isSupported(entryPath)) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+// Returns { files: [{ filePath, root }], missing: [argument] }
+async function resolveInputs(inputs, { isSupported, cwd = process.cwd() }) {
+    const found = new Map();
+    const missing = [];
+    const add = (filePath, root) => {
+        if (!found.has(filePath)) found.set(filePath, { filePath, root });
+    };
+
+    for (const input of inputs) {
+        if (isGlob(input)) {
+            const matches = await fg(input.split(path.sep).join('/'), { cwd, absolute: true, onlyFiles: true, dot: false });
+            const root = path.resolve(cwd, globBase(input));
+            matches.map(path.normalize).filter(isSupported).sort().forEach(match => add(match, root));
+            if (matches.length === 0) missing.push(input);
+            continue;
+        }
+
+        const inputPath = path.resolve(cwd, input);
+        let stats;
+        try {
+            stats = await fs.stat(inputPath);
+        } catch (error) {
+            missing.push(input);
+            continue;
+        }
+
+        if (stats.isDirectory()) {
+            (await walk(inputPath, isSupported, [])).forEach(filePath => add(filePath, inputPath));
+        } else {
+            // A file named explicitly is checked even with an unknown extension;
+            // its format is sniffed from the content
+            add(inputPath, path.dirname(inputPath));
+        }
+    }
+
+    return { files: [...found.values()], missing };
+}
+
+module.exports = {
+    isGlob,
+    resolveInputs
+};
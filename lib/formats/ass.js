@@ -0,0 +1,87 @@
+const { parseTimestamp } = require('../timecode');
+const { splitLines, cleanLines } = require('./utils');
+
+// Advanced SubStation Alpha / SubStation Alpha (.ass, .ssa)
+const DEFAULT_FIELDS = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+function decodeText(raw) {
+    // Remove override blocks ({\i1}, {\pos(10,10)}) and expand hard line breaks and spaces
+    return cleanLines(raw
+        .replace(/\{[^}]*\}/g, '')
+        .replace(/\\[Nn]/g, '\n')
+        .replace(/\\h/g, ' '));
+}
+
+function parse(content) {
+    const cues = [];
+    let section = null;
+    let fields = DEFAULT_FIELDS;
+
+    for (const line of splitLines(content)) {
+        const sectionMatch = line.text.trim().match(/^\[(.+)\]$/);
+        if (sectionMatch) {
+            section = sectionMatch[1].toLowerCase();
+            continue;
+        }
+        if (section !== 'events') continue;
+
+        const formatMatch = line.text.match(/^\s*Format\s*:\s*(.*)$/i);
+        if (formatMatch) {
+            fields = formatMatch[1].split(',').map(field => field.trim().toLowerCase());
+            continue;
+        }
+
+        const dialogue = line.text.match(/^(\s*Dialogue\s*:\s*)(.*)$/i);
+        if (!dialogue) continue;
+
+        // The Text field is always last and may itself contain commas
+        const values = [];
+        let rest = dialogue[2];
+        let offset = line.start + dialogue[1].length;
+        while (values.length < fields.length - 1) {
+            const comma = rest.indexOf(',');
+            if (comma === -1) break;
+            values.push(rest.slice(0, comma).trim());
+            rest = rest.slice(comma + 1);
+            offset += comma + 1;
+        }
+        if (values.length !== fields.length - 1) continue;
+
+        const field = name => {
+            const index = fields.indexOf(name);
+            return index === -1 || index >= values.length ? null : values[index];
+        };
+
+        cues.push({
+            index: cues.length + 1,
+            id: null,
+            start: field('start'),
+            end: field('end'),
+            startMs: parseTimestamp(field('start')),
+            endMs: parseTimestamp(field('end')),
+            speaker: field('name') || null,
+            line: line.number,
+            raw: rest,
+            text: decodeText(rest),
+            offset,
+            length: rest.length
+        });
+    }
+
+    return { cues };
+}
+
+module.exports = {
+    name: 'ass',
+    label: 'ASS/SSA',
+    extensions: ['.ass', '.ssa'],
+    sniff: content => /^\uFEFF?\s*\[Script Info\]/i.test(content),
+    parse,
+    decodeText,
+    escapeText: text => text.replace(/\r?\n/g, '\\N'),
+    // "Language: fr" in the [Script Info] section
+    headerLanguage: (content) => {
+        const match = content.match(/\[Script Info\][^[]*?^Language:[ \t]*(\S+)/im);
+        return match ? match[1] : null;
+    }
+};
@@ -0,0 +1,276 @@
+const path = require('path');
+
+// Subtitle format registry. A format knows how to parse a file into cues and
+// how to escape replacement text for its payload; writing back is done by
+// splicing each cue's (possibly corrected) payload into the original content,
+// so everything outside cue text survives byte for byte. A format that can map
+// each character of its decoded text back to the payload (textUnits) has its
+// corrections made on the decoded text, with the markup kept around them.
+const registry = [];
+
+function registerFormat(format) {
+    if (!format || !format.name || typeof format.parse !== 'function' || typeof format.decodeText !== 'function') {
+        throw new Error('A subtitle format needs a name, parse() and decodeText()');
+    }
+
+    const existing = registry.findIndex(f => f.name === format.name);
+    if (existing !== -1) {
+        registry.splice(existing, 1);
+    }
+    registry.push(format);
+    return format;
+}
+
+function getFormat(name) {
+    return registry.find(format => format.name === name) || null;
+}
+
+function getFormatByExtension(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return registry.find(format => (format.extensions || []).includes(extension)) || null;
+}
+
+function sniffFormat(content) {
+    return registry.find(format => typeof format.sniff === 'function' && format.sniff(content)) || null;
+}
+
+// Extension first, then sniff the content for files with an unknown extension
+function detectFormat(filePath, content) {
+    return getFormatByExtension(filePath) || (typeof content === 'string' ? sniffFormat(content) : null);
+}
+
+function isSupportedFile(filePath) {
+    return getFormatByExtension(filePath) !== null;
+}
+
+function supportedExtensions() {
+    return registry.reduce((extensions, format) => extensions.concat(format.extensions || []), []);
+}
+
+function parseSubtitle(content, format) {
+    const { cues } = format.parse(content);
+    return { format: format.name, content, cues };
+}
+
+function serializeSubtitle(document) {
+    const format = getFormat(document.format);
+    if (format && typeof format.serialize === 'function') {
+        return format.serialize(document);
+    }
+
+    // Splice from the end so earlier offsets stay valid
+    let output = document.content;
+    const cues = [...document.cues].sort((a, b) => b.offset - a.offset);
+    for (const cue of cues) {
+        output = output.slice(0, cue.offset) + cue.raw + output.slice(cue.offset + cue.length);
+    }
+    return output;
+}
+
+// Language named in the file itself, for formats that have a place for it
+function getHeaderLanguage(document) {
+    const format = getFormat(document.format);
+    return format && typeof format.headerLanguage === 'function' ? format.headerLanguage(document.content) : null;
+}
+
+// Look a cue up by the number it was given in the prompt
+function findCue(document, reference) {
+    const index = parseInt(String(reference).replace(/^\D+/, ''), 10);
+    return document.cues.find(cue => cue.index === index) || null;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Direction marks and embeddings (LRM, RLM, ALM, LRE..RLO, LRI..PDI), as
+// characters or as the entities VTT and TTML files use
+const BIDI_CONTROLS = /[\u200E\u200F\u061C\u202A-\u202E\u2066-\u2069]/g;
+const BIDI_CONTROL = '(?:[\\u200E\\u200F\\u061C\\u202A-\\u202E\\u2066-\\u2069]|&lrm;|&rlm;|&#x200[EF];)';
+
+// Where `needle` is in `text` as { index, length }, or null. A whole-word
+// occurrence is preferred so that "colour" is not found inside "colourful".
+// Right-to-left text carries invisible direction marks that models drop or
+// add, so as a last resort the marks are ignored; the ones around the match
+// are left in place.
+function findText(text, needle) {
+    const wholeWord = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(needle)}(?![\\p{L}\\p{M}\\p{N}])`, 'u');
+    let match = text.match(wholeWord);
+    if (match) return { index: match.index, length: needle.length };
+
+    const index = text.indexOf(needle);
+    if (index !== -1) return { index, length: needle.length };
+
+    const bare = [...needle.replace(BIDI_CONTROLS, '')];
+    if (bare.length === 0) return null;
+    match = text.match(new RegExp(bare.map(escapeRegExp).join(`${BIDI_CONTROL}*`), 'u'));
+    return match ? { index: match.index, length: match[0].length, bidi: true } : null;
+}
+
+// Put the direction marks of the replaced text back on the same words of the
+// replacement. Only possible while the number of words stays the same.
+function keepBidiControls(replaced, replacement) {
+    const replacedParts = replaced.split(/(\s+)/);
+    const replacementParts = replacement.replace(BIDI_CONTROLS, '').split(/(\s+)/);
+    if (replacedParts.length !== replacementParts.length) return replacement;
+
+    const leading = new RegExp(`^${BIDI_CONTROL}*`, 'u');
+    const trailing = new RegExp(`${BIDI_CONTROL}*$`, 'u');
+    return replacementParts.map((part, i) => {
+        const source = replacedParts[i];
+        return source.match(leading)[0] + part + source.match(trailing)[0];
+    }).join('');
+}
+
+// The decoded text of a payload, its units ({ text, start, end } in the
+// payload) and where each unit starts in the text
+function mapText(format, raw) {
+    const units = format.textUnits(raw);
+    const offsets = [];
+    let text = '';
+    for (const unit of units) {
+        offsets.push(text.length);
+        text += unit.text;
+    }
+    return { units, offsets, text };
+}
+
+// Replace `original` in the decoded text and rewrite only the payload under
+// the characters that change. Tags and entities before, after and between
+// them are kept as they were: "<i>recieve</i>d" becomes "<i>receive</i>d".
+// Returns the new payload, or null when the text is not in the cue.
+function replaceMappedText(format, raw, original, corrected) {
+    const { units, offsets, text } = mapText(format, raw);
+    const match = original ? findText(text, original) : null;
+    if (!match) return null;
+
+    const replaced = text.slice(match.index, match.index + match.length);
+    const replacement = match.bidi ? keepBidiControls(replaced, corrected) : corrected;
+
+    let prefix = 0;
+    while (prefix < replaced.length && prefix < replacement.length && replaced[prefix] === replacement[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < replaced.length - prefix && suffix < replacement.length - prefix &&
+        replaced[replaced.length - 1 - suffix] === replacement[replacement.length - 1 - suffix]) suffix++;
+
+    // The units that change, widened to whole units (an entity, a surrogate pair)
+    const from = match.index + prefix;
+    const to = match.index + match.length - suffix;
+    let first = 0;
+    while (first < units.length && offsets[first] + units[first].text.length <= from) first++;
+    let last = first;
+    while (last < units.length && offsets[last] < to) last++;
+
+    const escape = format.escapeText || (value => value);
+    const changed = replacement.slice(prefix, replacement.length - suffix);
+
+    if (last === first) {
+        // Nothing removed: added text joins the text before it, inside its tags
+        const at = prefix > 0 || first === units.length ? units[first - 1].end : units[first].start;
+        return raw.slice(0, at) + escape(changed) + raw.slice(at);
+    }
+
+    const widenedFrom = Math.min(from, offsets[first]);
+    const widenedTo = Math.max(to, offsets[last - 1] + units[last - 1].text.length);
+    const newText = text.slice(widenedFrom, from) + changed + text.slice(to, widenedTo);
+
+    // Markup between the changed units stays, at the same place in the new text or at its end
+    let middle = '';
+    let position = 0;
+    for (let i = first + 1; i < last; i++) {
+        if (units[i].start === units[i - 1].end) continue;
+        const at = Math.max(position, Math.min(offsets[i] - widenedFrom, newText.length));
+        middle += escape(newText.slice(position, at)) + raw.slice(units[i - 1].end, units[i].start);
+        position = at;
+    }
+    middle += escape(newText.slice(position));
+
+    return raw.slice(0, units[first].start) + middle + raw.slice(units[last - 1].end);
+}
+
+// Replace the first occurrence of `original` in a cue payload. Returns false
+// when the text is not part of this cue.
+function replaceCueText(document, cue, original, corrected) {
+    const format = getFormat(document.format);
+    if (typeof format.textUnits === 'function') {
+        const raw = replaceMappedText(format, cue.raw, original, corrected);
+        if (raw === null) return false;
+        cue.raw = raw;
+        cue.text = format.decodeText(cue.raw);
+        return true;
+    }
+
+    const escape = format.escapeText || (text => text);
+    const candidates = [[escape(original), escape(corrected)], [original, corrected]];
+
+    for (const [needle, replacement] of candidates) {
+        const match = needle ? findText(cue.raw, needle) : null;
+        if (match) {
+            const replaced = cue.raw.slice(match.index, match.index + match.length);
+            const text = match.bidi ? keepBidiControls(replaced, replacement) : replacement;
+            cue.raw = cue.raw.slice(0, match.index) + text + cue.raw.slice(match.index + match.length);
+            cue.text = format.decodeText(cue.raw);
+            return true;
+        }
+    }
+    return false;
+}
+
+// Line and column (both 1-based) of a correction's text in the original
+// content, for reports that point at file:line. Falls back to the start of
+// the cue when the text cannot be found.
+function locateCorrection(document, correction) {
+    const cue = findCue(document, correction.cue);
+    if (!cue) return null;
+
+    const format = getFormat(document.format);
+    let match = null;
+    if (typeof format.textUnits === 'function') {
+        // From the first to the last payload character of the decoded match
+        const { units, offsets, text } = mapText(format, cue.raw);
+        const found = correction.original ? findText(text, String(correction.original)) : null;
+        if (found) {
+            const unitAt = position => offsets.filter(offset => offset <= position).length - 1;
+            const start = units[unitAt(found.index)].start;
+            match = { index: start, length: units[unitAt(found.index + found.length - 1)].end - start };
+        }
+    } else {
+        const escaped = format.escapeText ? format.escapeText(String(correction.original)) : String(correction.original);
+        match = escaped ? findText(cue.raw, escaped) : null;
+        if (!match && correction.original) match = findText(cue.raw, String(correction.original));
+    }
+    const position = cue.offset + (match ? match.index : 0);
+
+    const before = document.content.slice(0, position);
+    const line = before.split(/\r\n|\n|\r/).length;
+    const column = position - Math.max(before.lastIndexOf('\n'), before.lastIndexOf('\r'));
+    return {
+        cue,
+        line,
+        column,
+        endColumn: match ? column + match.length : column
+    };
+}
+
+registerFormat(require('./vtt'));
+registerFormat(require('./srt'));
+registerFormat(require('./ass'));
+registerFormat(require('./ttml'));
+
+module.exports = {
+    registerFormat,
+    getFormat,
+    getFormatByExtension,
+    sniffFormat,
+    detectFormat,
+    isSupportedFile,
+    supportedExtensions,
+    parseSubtitle,
+    serializeSubtitle,
+    getHeaderLanguage,
+    findCue,
+    findText,
+    replaceCueText,
+    locateCorrection,
+    escapeRegExp
+};
@@ -0,0 +1,51 @@
+const { parseTimestamp } = require('../timecode');
+const { splitBlocks, cleanLines } = require('./utils');
+
+// SubRip (.srt)
+const TIMING_LINE = /^\s*(\S+)\s*-->\s*(\S+)(.*)$/;
+
+function decodeText(raw) {
+    // Remove HTML-style tags (<i>, <font color="...">) and ASS-style position overrides ({\an8})
+    return cleanLines(raw.replace(/<[^>]*>/g, '').replace(/\{\\[^}]*\}/g, ''));
+}
+
+function parse(content) {
+    const cues = [];
+
+    for (const block of splitBlocks(content)) {
+        const timingIndex = block.findIndex((line, i) => i < 2 && line.text.includes('-->'));
+        if (timingIndex === -1) continue;
+
+        const timing = block[timingIndex].text.match(TIMING_LINE) || [];
+        const payload = block.slice(timingIndex + 1);
+        const offset = payload.length > 0 ? payload[0].start : block[timingIndex].end;
+        const length = payload.length > 0 ? payload[payload.length - 1].end - offset : 0;
+        const raw = content.slice(offset, offset + length);
+
+        cues.push({
+            index: cues.length + 1,
+            id: timingIndex === 1 ? block[0].text.trim() : null,
+            start: timing[1] || null,
+            end: timing[2] || null,
+            startMs: parseTimestamp(timing[1]),
+            endMs: parseTimestamp(timing[2]),
+            line: payload.length > 0 ? payload[0].number : block[timingIndex].number,
+            raw,
+            text: decodeText(raw),
+            offset,
+            length
+        });
+    }
+
+    return { cues };
+}
+
+module.exports = {
+    name: 'srt',
+    label: 'SubRip',
+    extensions: ['.srt'],
+    sniff: content => /^\uFEFF?\s*\d+[ \t]*\r?\n[ \t]*\d+:\d{2}:\d{2}[,.]\d{3}[ \t]*-->/.test(content),
+    parse,
+    decodeText,
+    escapeText: text => text
+};
@@ -0,0 +1,81 @@
+const { parseTimestamp } = require('../timecode');
+const { cleanLines, decodeEntities, escapeMarkup } = require('./utils');
+
+// Timed Text Markup Language (.ttml, .dfxp)
+// Matches <p> elements, optionally namespace-prefixed, but not self-closing ones
+const P_ELEMENT = /<((?:[\w-]+:)?p)\b((?:[^>"'/]|\/(?!>)|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/\1\s*>/g;
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+function parseAttributes(source) {
+    const attributes = {};
+    let match;
+    ATTRIBUTE.lastIndex = 0;
+    while ((match = ATTRIBUTE.exec(source)) !== null) {
+        const name = match[1].replace(/^tt[a-z]*:/, '');
+        attributes[name] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attributes;
+}
+
+function decodeText(raw) {
+    // Source whitespace is insignificant in TTML; only <br/> starts a new line
+    return cleanLines(decodeEntities(raw
+        .replace(/\s+/g, ' ')
+        .replace(/<(?:[\w-]+:)?br\s*\/?>/g, '\n')
+        .replace(/<[^>]*>/g, '')));
+}
+
+function parse(content) {
+    const cues = [];
+    let match;
+    let line = 1;
+    let scanned = 0;
+
+    P_ELEMENT.lastIndex = 0;
+    while ((match = P_ELEMENT.exec(content)) !== null) {
+        const attributes = parseAttributes(match[2]);
+        const offset = match.index + match[1].length + match[2].length + 2;
+        const raw = match[3];
+
+        for (; scanned < offset; scanned++) {
+            if (content[scanned] === '\n') line++;
+        }
+
+        const startMs = parseTimestamp(attributes.begin);
+        let endMs = parseTimestamp(attributes.end);
+        if (endMs === null && startMs !== null && parseTimestamp(attributes.dur) !== null) {
+            endMs = startMs + parseTimestamp(attributes.dur);
+        }
+
+        cues.push({
+            index: cues.length + 1,
+            id: attributes['xml:id'] || attributes.id || null,
+            start: attributes.begin || null,
+            end: attributes.end || null,
+            startMs,
+            endMs,
+            line,
+            raw,
+            text: decodeText(raw),
+            offset,
+            length: raw.length
+        });
+    }
+
+    return { cues };
+}
+
+module.exports = {
+    name: 'ttml',
+    label: 'TTML/DFXP',
+    extensions: ['.ttml', '.dfxp'],
+    sniff: content => /<(?:[\w-]+:)?tt\b[^>]*\bxmlns(?::[\w-]+)?\s*=\s*["']http:\/\/www\.w3\.org\/ns\/ttml/i.test(content),
+    parse,
+    decodeText,
+    escapeText: escapeMarkup,
+    // xml:lang on the root <tt> element
+    headerLanguage: (content) => {
+        const match = content.match(/<(?:[\w-]+:)?tt\b[^>]*\bxml:lang\s*=\s*["']([^"']+)["']/);
+        return match ? match[1] : null;
+    }
+};
@@ -0,0 +1,76 @@
+// Helpers shared by the line-oriented subtitle parsers
+
+// Split content into lines, keeping the offsets of each line in the original
+// string so parsers can point cues back at their exact source location
+function splitLines(content) {
+    const lines = [];
+    const lineBreak = /\r\n|\n|\r/g;
+    let start = 0;
+    let match;
+
+    while ((match = lineBreak.exec(content)) !== null) {
+        lines.push({ number: lines.length + 1, text: content.slice(start, match.index), start, end: match.index });
+        start = match.index + match[0].length;
+    }
+    lines.push({ number: lines.length + 1, text: content.slice(start), start, end: content.length });
+
+    return lines;
+}
+
+// Group lines into blocks separated by blank lines (VTT, SRT)
+function splitBlocks(content) {
+    const blocks = [];
+    let current = [];
+
+    for (const line of splitLines(content)) {
+        if (line.text.trim() === '') {
+            if (current.length > 0) {
+                blocks.push(current);
+                current = [];
+            }
+        } else {
+            current.push(line);
+        }
+    }
+    if (current.length > 0) blocks.push(current);
+
+    return blocks;
+}
+
+// Trim every line of a decoded cue and drop the empty ones
+function cleanLines(text) {
+    return text
+        .split(/\r\n|\n|\r/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .join('\n');
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lrm;/g, '\u200E')
+        .replace(/&rlm;/g, '\u200F')
+        .replace(/&amp;/g, '&');
+}
+
+function escapeMarkup(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+    splitLines,
+    splitBlocks,
+    cleanLines,
+    decodeEntities,
+    escapeMarkup
+};
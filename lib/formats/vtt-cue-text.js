@@ -0,0 +1,88 @@
+const { decodeEntities } = require('./utils');
+
+// WebVTT cue text split into tokens, each with its offsets in the cue payload:
+//
+//   tag         <i>, </i>, <b>, <u>, <c.loud>, <v Esme>, <lang fr>, <ruby>, <rt>
+//   timestamp   <00:00:01.500>
+//   entity      &amp;, &lt;, &lrm;, &#233;
+//   newline     a line break inside the cue
+//   text        everything else
+//
+// Corrections are made on the decoded text, so every character of it is
+// mapped back to the payload it came from; the markup between the characters
+// is what has to survive a correction untouched.
+const TOKEN = /<[^>]*>|&(?:#x[0-9a-f]+|#\d+|[a-z]+);|\r\n|\n|\r|[^<&\r\n]+|[<&]/gi;
+const TAG = /^<(\/?)([^\s.>]*)((?:\.[^\s.>]+)*)(?:[ \t]+([^>]*))?>$/;
+const TIMESTAMP_TAG = /^<(?:\d+:)?\d{2}:\d{2}\.\d{3}>$/;
+
+function tokenizeCueText(raw) {
+    return [...raw.matchAll(TOKEN)].map((match) => {
+        const [text] = match;
+        const token = { start: match.index, end: match.index + text.length, raw: text };
+
+        if (text.length > 1 && text[0] === '<') {
+            if (TIMESTAMP_TAG.test(text)) return { type: 'timestamp', ...token };
+            const tag = text.match(TAG) || [];
+            return {
+                type: 'tag',
+                ...token,
+                name: tag[2] || '',
+                closing: tag[1] === '/',
+                classes: tag[3] ? tag[3].slice(1).split('.') : [],
+                annotation: tag[4] ? tag[4].trim() : null
+            };
+        }
+        if (text.length > 1 && text[0] === '&') return { type: 'entity', ...token, text: decodeEntities(text) };
+        if (/^[\r\n]/.test(text)) return { type: 'newline', ...token, text: '\n' };
+        return { type: 'text', ...token, text };
+    });
+}
+
+function isBlank(unit) {
+    return unit.text.trim() === '';
+}
+
+// The decoded text as units: one per character (an entity is one unit, a tag
+// none), with the payload offsets it comes from. Lines are trimmed and empty
+// lines dropped as in every format's decoded text, and the line break before
+// each remaining line joins it to the one above.
+function cueTextUnits(raw) {
+    const lines = [{ newline: null, units: [] }];
+
+    for (const token of tokenizeCueText(raw)) {
+        const line = lines[lines.length - 1];
+        if (token.type === 'newline') {
+            lines.push({ newline: { text: '\n', start: token.start, end: token.end }, units: [] });
+        } else if (token.type === 'entity') {
+            line.units.push({ text: token.text, start: token.start, end: token.end });
+        } else if (token.type === 'text') {
+            let offset = token.start;
+            for (const character of token.raw) {
+                line.units.push({ text: character, start: offset, end: offset + character.length });
+                offset += character.length;
+            }
+        }
+    }
+
+    const kept = lines
+        .map(({ newline, units }) => {
+            let from = 0;
+            let to = units.length;
+            while (from < to && isBlank(units[from])) from++;
+            while (to > from && isBlank(units[to - 1])) to--;
+            return { newline, units: units.slice(from, to) };
+        })
+        .filter(line => line.units.length > 0);
+
+    return kept.flatMap((line, i) => (i > 0 ? [line.newline, ...line.units] : line.units));
+}
+
+function decodeCueText(raw) {
+    return cueTextUnits(raw).map(unit => unit.text).join('');
+}
+
+module.exports = {
+    tokenizeCueText,
+    cueTextUnits,
+    decodeCueText
+};
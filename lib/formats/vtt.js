@@ -0,0 +1,62 @@
+const { parseTimestamp } = require('../timecode');
+const { splitBlocks, escapeMarkup } = require('./utils');
+const { cueTextUnits, decodeCueText } = require('./vtt-cue-text');
+
+// WebVTT (.vtt)
+const TIMING_LINE = /^\s*(\S+)\s+-->\s+(\S+)(.*)$/;
+
+// Comments, style sheets and region definitions are not subtitle text
+const NON_CUE_BLOCK = /^(?:NOTE|STYLE|REGION)(?:[ \t]|$)/;
+
+function parse(content) {
+    const cues = [];
+
+    for (const block of splitBlocks(content)) {
+        // A cue is an optional identifier line followed by a timing line
+        if (NON_CUE_BLOCK.test(block[0].text)) continue;
+        const timingIndex = block.findIndex((line, i) => i < 2 && line.text.includes('-->'));
+        if (timingIndex === -1) continue;
+
+        const timing = block[timingIndex].text.match(TIMING_LINE) || [];
+        const payload = block.slice(timingIndex + 1);
+        const offset = payload.length > 0 ? payload[0].start : block[timingIndex].end;
+        const length = payload.length > 0 ? payload[payload.length - 1].end - offset : 0;
+        const raw = content.slice(offset, offset + length);
+
+        cues.push({
+            index: cues.length + 1,
+            id: timingIndex === 1 ? block[0].text.trim() : null,
+            start: timing[1] || null,
+            end: timing[2] || null,
+            startMs: parseTimestamp(timing[1]),
+            endMs: parseTimestamp(timing[2]),
+            line: payload.length > 0 ? payload[0].number : block[timingIndex].number,
+            raw,
+            text: decodeCueText(raw),
+            offset,
+            length
+        });
+    }
+
+    return { cues };
+}
+
+// "Language: fr" among the header lines before the first blank line
+function headerLanguage(content) {
+    const header = content.split(/\r?\n[ \t]*\r?\n/)[0];
+    const match = header.match(/^Language:[ \t]*(\S+)/im);
+    return match ? match[1] : null;
+}
+
+module.exports = {
+    name: 'vtt',
+    label: 'WebVTT',
+    extensions: ['.vtt'],
+    sniff: content => /^\uFEFF?WEBVTT(?:[ \t]|\r?\n|$)/.test(content),
+    parse,
+    // Without tags (<i>, <v Speaker>, <00:00:01.000>) and with entities decoded
+    decodeText: decodeCueText,
+    textUnits: cueTextUnits,
+    escapeText: escapeMarkup,
+    headerLanguage
+};
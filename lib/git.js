@@ -0,0 +1,116 @@
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Subtitle files that changed in git, and the lines that changed in each:
+//
+//   since    "main", "origin/main...HEAD", "v1.2..v1.3": the files that differ
+//            over a revision range, or from a revision to the working tree
+//   staged   the files whose staged version differs from HEAD, for a
+//            pre-commit hook; their text is read from the index
+//
+// Line numbers are those of the newer side, so a range should end in the
+// working tree or in the commit that is checked out. Deleted files are left
+// out, and a renamed file counts as new.
+class GitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GitError';
+    }
+}
+
+// Subtitle files are small, but a whole season can change at once
+const MAX_OUTPUT = 256 * 1024 * 1024;
+
+function git(args, cwd) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd, encoding: 'utf8', maxBuffer: MAX_OUTPUT }, (error, stdout, stderr) => {
+            if (error) {
+                const reason = error.code === 'ENOENT' ? 'git is not installed' : (stderr || error.message).trim();
+                reject(new GitError(`git ${args[0]} failed: ${reason}`));
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+// [{ start, end }] of the new side of a diff with no context lines, 1-based
+// and inclusive. A hunk that only removes lines names the line before them;
+// the line after them is marked too, so a removal at the end of a cue counts.
+function changedLines(diff) {
+    const ranges = [];
+    for (const match of diff.matchAll(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/gm)) {
+        const start = Number(match[1]);
+        const count = match[2] === undefined ? 1 : Number(match[2]);
+        ranges.push(count === 0 ? { start: Math.max(start, 1), end: start + 1 } : { start, end: start + count - 1 });
+    }
+    return ranges;
+}
+
+// Returns { root, files: [{ filePath, lines, content? }] }; `content` is the
+// staged text, when it was read from the index
+async function changedFiles({ since, staged, cwd = process.cwd(), isSupported = () => true }) {
+    if (!staged && (!since || since.startsWith('-'))) {
+        throw new GitError(`Not a revision or range: "${since || ''}"`);
+    }
+
+    const root = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+    const compare = staged ? ['--cached'] : [since];
+    const names = (await git(['diff', '--name-only', '-z', '--no-renames', '--diff-filter=ACMR', ...compare, '--'], root))
+        .split('\0')
+        .filter(Boolean);
+
+    const files = [];
+    for (const name of names) {
+        const filePath = path.join(root, name);
+        if (!isSupported(filePath)) continue;
+
+        const diff = await git(['diff', '-U0', '--no-color', '--no-ext-diff', '--no-textconv', '--no-renames', ...compare, '--', name], root);
+        const file = { filePath, lines: changedLines(diff) };
+        if (staged) {
+            file.content = await git(['cat-file', 'blob', `:${name}`], root);
+        }
+        files.push(file);
+    }
+    return { root, files };
+}
+
+// Numbers of the cues on changed lines. A cue owns the lines of its text and
+// the lines since the previous cue's text, which hold its timing and
+// identifier in most formats, so a retimed cue counts as changed too.
+function changedCues(document, ranges) {
+    const lineStarts = [0];
+    for (let i = 0; i < document.content.length; i++) {
+        if (document.content[i] === '\n') lineStarts.push(i + 1);
+    }
+    const lineAt = (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= offset) low = middle;
+            else high = middle - 1;
+        }
+        return low + 1;
+    };
+
+    const changed = new Set();
+    let from = 1;
+    for (const cue of document.cues) {
+        const to = lineAt(cue.offset + Math.max(cue.length - 1, 0));
+        // Cues can share a line, as TTML paragraphs sometimes do
+        const first = Math.min(from, lineAt(cue.offset));
+        if (ranges.some(range => range.start <= to && range.end >= first)) {
+            changed.add(cue.index);
+        }
+        from = Math.max(from, to + 1);
+    }
+    return changed;
+}
+
+module.exports = {
+    GitError,
+    changedFiles,
+    changedLines,
+    changedCues
+};
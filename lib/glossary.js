@@ -0,0 +1,148 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { escapeRegExp } = require('./formats');
+
+// Project glossary of protected terms (names, places, brands, dialect such as
+// "gonna") that must never be changed, and preferred spellings that are always
+// enforced. Plain text, one entry per line:
+//
+//   # Characters
+//   Katerina
+//   y'all
+//   colour -> color
+const GLOSSARY_FILENAME = 'glossary.txt';
+
+// Whole-word, case-insensitive match that also works for non-Latin scripts
+function termPattern(term) {
+    return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+}
+
+function countTerm(text, term) {
+    return (String(text).match(termPattern(term)) || []).length;
+}
+
+// Carry the capitalisation of the text being replaced over to the replacement
+function matchCase(source, target) {
+    if (source.length > 1 && source === source.toUpperCase() && source !== source.toLowerCase()) {
+        return target.toUpperCase();
+    }
+    if (source[0] !== source[0].toLowerCase()) {
+        return target[0].toUpperCase() + target.slice(1);
+    }
+    return target;
+}
+
+class Glossary {
+    constructor(protectedTerms = [], preferred = []) {
+        this.protectedTerms = protectedTerms;
+        this.preferred = preferred;
+    }
+
+    static parse(text) {
+        const protectedTerms = [];
+        const preferred = [];
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (line === '' || line.startsWith('#')) continue;
+
+            const arrow = line.match(/^(.+?)\s*(?:->|=>|→)\s*(.+)$/);
+            if (arrow) {
+                preferred.push({ from: arrow[1].trim(), to: arrow[2].trim() });
+            } else {
+                protectedTerms.push(line);
+            }
+        }
+
+        return new Glossary(protectedTerms, preferred);
+    }
+
+    // Entries from `other` (closer to the file) win over ours
+    merge(other) {
+        const preferredFrom = new Set(other.preferred.map(entry => entry.from.toLowerCase()));
+        return new Glossary(
+            [...new Set([...this.protectedTerms, ...other.protectedTerms])],
+            this.preferred.filter(entry => !preferredFrom.has(entry.from.toLowerCase())).concat(other.preferred)
+        );
+    }
+
+    isEmpty() {
+        return this.protectedTerms.length === 0 && this.preferred.length === 0;
+    }
+
+    promptSection() {
+        if (this.isEmpty()) return '';
+
+        const lines = ['Project glossary:'];
+        if (this.protectedTerms.length > 0) {
+            lines.push(`- Never change these names, terms and intentional spellings: ${this.protectedTerms.join(', ')}`);
+        }
+        if (this.preferred.length > 0) {
+            lines.push(`- Always use these spellings: ${this.preferred.map(({ from, to }) => `"${from}" → "${to}"`).join(', ')}`);
+        }
+        return lines.join('\n');
+    }
+
+    // Returns the protected term a correction would change, or null. A
+    // correction may touch text around a term as long as the term survives.
+    findProtectedTerm(correction) {
+        for (const term of this.protectedTerms) {
+            const before = countTerm(correction.original, term);
+            if (before > 0 && countTerm(correction.corrected, term) < before) {
+                return term;
+            }
+        }
+        return null;
+    }
+
+    // Corrections that enforce the preferred spellings in every cue
+    enforce(cues) {
+        const corrections = [];
+        for (const cue of cues) {
+            for (const { from, to } of this.preferred) {
+                // One correction per occurrence; each replaces the next one in the cue
+                for (const match of cue.text.matchAll(termPattern(from))) {
+                    const corrected = matchCase(match[0], to);
+                    if (match[0] === corrected) continue;
+                    corrections.push({
+                        cue: cue.index,
+                        original: match[0],
+                        corrected,
+                        type: 'spelling',
+                        explanation: `Glossary preferred spelling: "${to}"`,
+                        source: 'glossary'
+                    });
+                }
+            }
+        }
+        return corrections;
+    }
+}
+
+async function readGlossary(filePath) {
+    if (!filePath || !await fs.pathExists(filePath)) return new Glossary();
+    return Glossary.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+// Directories from `rootDir` down to `dir`, outermost first
+function directoryChain(rootDir, dir) {
+    const relative = path.relative(rootDir, dir);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return [dir];
+
+    const chain = [rootDir];
+    let current = rootDir;
+    for (const part of relative.split(path.sep).filter(Boolean)) {
+        current = path.join(current, part);
+        chain.push(current);
+    }
+    return chain;
+}
+
+module.exports = {
+    GLOSSARY_FILENAME,
+    Glossary,
+    readGlossary,
+    directoryChain,
+    termPattern,
+    matchCase
+};
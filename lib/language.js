@@ -0,0 +1,172 @@
+const path = require('path');
+
+// Per-file language: the filename suffix (episode01.fr.vtt, video1_en.vtt),
+// then the file's own header, then the configured language, then a small
+// offline detector that looks at the script and common words.
+const LANGUAGE_NAMES = {
+    ar: 'Arabic',
+    bg: 'Bulgarian',
+    cs: 'Czech',
+    da: 'Danish',
+    de: 'German',
+    el: 'Greek',
+    en: 'English',
+    es: 'Spanish',
+    fa: 'Persian',
+    fi: 'Finnish',
+    fr: 'French',
+    he: 'Hebrew',
+    hi: 'Hindi',
+    hu: 'Hungarian',
+    it: 'Italian',
+    ja: 'Japanese',
+    ko: 'Korean',
+    nl: 'Dutch',
+    no: 'Norwegian',
+    pl: 'Polish',
+    pt: 'Portuguese',
+    ro: 'Romanian',
+    ru: 'Russian',
+    sv: 'Swedish',
+    th: 'Thai',
+    tr: 'Turkish',
+    uk: 'Ukrainian',
+    ur: 'Urdu',
+    vi: 'Vietnamese',
+    yi: 'Yiddish',
+    zh: 'Chinese'
+};
+
+const RIGHT_TO_LEFT = new Set(['ar', 'fa', 'he', 'ur', 'yi']);
+
+// A script that makes up most of the letters decides the language. Letters
+// only Persian or Ukrainian use tell them apart from Arabic and Russian.
+const SCRIPTS = [
+    { language: 'fa', pattern: /[پچژگ]/gu, within: 'ar' },
+    { language: 'ar', pattern: /[\u0600-\u06FF\u0750-\u077F]/gu },
+    { language: 'he', pattern: /[\u0590-\u05FF]/gu },
+    { language: 'uk', pattern: /[іїєґ]/giu, within: 'ru' },
+    { language: 'ru', pattern: /[\u0400-\u04FF]/gu },
+    { language: 'el', pattern: /[\u0370-\u03FF]/gu },
+    { language: 'ko', pattern: /[\uAC00-\uD7AF]/gu },
+    { language: 'ja', pattern: /[\u3040-\u30FF]/gu },
+    { language: 'zh', pattern: /[\u4E00-\u9FFF]/gu },
+    { language: 'th', pattern: /[\u0E00-\u0E7F]/gu },
+    { language: 'hi', pattern: /[\u0900-\u097F]/gu }
+];
+
+// Frequent short words for the Latin-script languages
+const STOPWORDS = {
+    en: ['the', 'and', 'you', 'that', 'is', 'it', 'to', 'of', 'what', 'this', 'have', 'are', 'with', 'was', 'not'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'je', 'tu', 'vous', 'pas', 'que', 'une', 'des', 'du', 'ce', 'pour'],
+    es: ['el', 'la', 'los', 'que', 'y', 'es', 'no', 'por', 'una', 'con', 'para', 'pero', 'qué', 'lo', 'del'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'ich', 'nicht', 'du', 'sie', 'ein', 'eine', 'mit', 'was', 'zu', 'wir'],
+    it: ['il', 'che', 'è', 'non', 'di', 'la', 'un', 'una', 'per', 'sono', 'mi', 'ti', 'questo', 'gli', 'ma'],
+    pt: ['o', 'que', 'não', 'de', 'um', 'uma', 'é', 'para', 'com', 'você', 'os', 'eu', 'mas', 'do', 'está'],
+    nl: ['de', 'het', 'een', 'en', 'ik', 'je', 'niet', 'dat', 'is', 'van', 'wat', 'zijn', 'we', 'met', 'maar']
+};
+
+const MIN_DETECTION_WORDS = 8;
+
+// A language, then an optional script and region: "ca", "zh-Hant-TW", "es-419"
+const LANGUAGE_CODE = /^([a-z]{2,3})(?:[-_]([a-z]{4}))?(?:[-_]([a-z]{2}|\d{3}))?$/i;
+
+// "pt_br" -> "pt-BR", "zh-hant" -> "zh-Hant"; null for anything that is not
+// a well-formed code. Languages without a name here are kept as they are.
+function normalizeLanguage(value) {
+    const match = String(value || '').trim().match(LANGUAGE_CODE);
+    if (!match) return null;
+
+    const [, primary, script, region] = match;
+    return [
+        primary.toLowerCase(),
+        script && script[0].toUpperCase() + script.slice(1).toLowerCase(),
+        region && region.toUpperCase()
+    ].filter(Boolean).join('-');
+}
+
+function primaryLanguage(code) {
+    return code ? code.split('-')[0] : null;
+}
+
+function languageName(code) {
+    return LANGUAGE_NAMES[primaryLanguage(code)] || code;
+}
+
+function isRightToLeft(code) {
+    return RIGHT_TO_LEFT.has(primaryLanguage(code));
+}
+
+// "episode01.fr.vtt" -> { stem: 'episode01', language: 'fr' }, also for
+// episode01.pt-BR.srt and video1_en.vtt; without a known language suffix the
+// stem is the whole name and the language is null. Only languages with a name
+// count here, so "episode01.old.srt" is not in a language called "old".
+function splitLanguageSuffix(filePath) {
+    const stem = path.basename(filePath, path.extname(filePath));
+    const match = stem.match(/[._-]([a-z]{2,3}(?:[-_](?:[A-Za-z]{4}|[A-Za-z]{2}))?)$/i);
+    const language = match ? normalizeLanguage(match[1]) : null;
+    return language && LANGUAGE_NAMES[primaryLanguage(language)]
+        ? { stem: stem.slice(0, match.index), language }
+        : { stem, language: null };
+}
+
+function languageFromFilename(filePath) {
+    return splitLanguageSuffix(filePath).language;
+}
+
+function detectLanguage(text) {
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return null;
+
+    for (const script of SCRIPTS) {
+        const count = (text.match(script.pattern) || []).length;
+        if (count === 0) continue;
+        if (script.within) {
+            const parent = SCRIPTS.find(candidate => candidate.language === script.within);
+            if ((text.match(parent.pattern) || []).length > letters / 2) return script.language;
+        } else if (count > letters / 2) {
+            return script.language;
+        }
+    }
+
+    const words = text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+    if (words.length < MIN_DETECTION_WORDS) return null;
+
+    const scores = Object.entries(STOPWORDS).map(([language, list]) => {
+        const stopwords = new Set(list);
+        return { language, hits: words.filter(word => stopwords.has(word)).length };
+    }).sort((a, b) => b.hits - a.hits);
+
+    // Only answer when one language clearly leads
+    const [best, second] = scores;
+    if (best.hits < 3 || best.hits < second.hits * 1.5) return null;
+    return best.language;
+}
+
+// Returns { code, name, source, rtl } or null when nothing could be resolved
+function resolveLanguage({ filePath, headerLanguage, configured, text }) {
+    const candidates = [
+        ['filename', languageFromFilename(filePath)],
+        ['header', normalizeLanguage(headerLanguage)],
+        ['config', normalizeLanguage(configured)],
+        ['detected', text ? detectLanguage(text) : null]
+    ];
+
+    const found = candidates.find(([, code]) => code);
+    if (!found) return null;
+
+    const [source, code] = found;
+    return { code, name: languageName(code), source, rtl: isRightToLeft(code) };
+}
+
+module.exports = {
+    LANGUAGE_NAMES,
+    normalizeLanguage,
+    primaryLanguage,
+    languageName,
+    isRightToLeft,
+    splitLanguageSuffix,
+    languageFromFilename,
+    detectLanguage,
+    resolveLanguage
+};
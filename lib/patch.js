@@ -0,0 +1,35 @@
+const Diff = require('diff');
+
+// Unified diff helpers for dry-run mode. Paths inside a patch are relative to
+// the current working directory, as in the state file, so a patch can be
+// reviewed and applied later from the same directory.
+
+function createFilePatch(filename, before, after) {
+    return Diff.createTwoFilesPatch(`a/${filename}`, `b/${filename}`, before, after, undefined, undefined, { context: 3 });
+}
+
+function stripPrefix(fileName) {
+    return fileName ? fileName.replace(/^[ab]\//, '') : fileName;
+}
+
+// Returns [{ filename, patch }] for every file touched by a (multi-file) patch
+function parsePatchFile(text) {
+    return Diff.parsePatch(text)
+        .filter(patch => patch.hunks.length > 0)
+        .map(patch => ({
+            filename: stripPrefix(patch.newFileName || patch.oldFileName),
+            patch
+        }));
+}
+
+// Returns the patched content, or null when the hunks do not fit
+function applyFilePatch(content, patch) {
+    const result = Diff.applyPatch(content, patch);
+    return result === false ? null : result;
+}
+
+module.exports = {
+    createFilePatch,
+    parsePatchFile,
+    applyFilePatch
+};
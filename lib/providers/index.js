@@ -0,0 +1,38 @@
+const OpenRouterProvider = require('./openrouter');
+const OpenAICompatibleProvider = require('./openai-compatible');
+const MockProvider = require('./mock');
+
+// LLM backends behind the analysis step. A provider exposes
+//   isConfigured()                -> false when it cannot run (e.g. missing API key)
+//   describe()                    -> short label for console output
+//   complete(messages, context)   -> { content, usage, model }
+const providers = {
+    openrouter: options => new OpenRouterProvider(options),
+    openai: options => new OpenAICompatibleProvider(options),
+    mock: options => new MockProvider(options)
+};
+
+function registerProvider(name, factory) {
+    providers[name] = factory;
+}
+
+function createProvider(name, options = {}) {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown provider "${name}" (available: ${Object.keys(providers).join(', ')})`);
+    }
+    return factory(options);
+}
+
+function listProviders() {
+    return Object.keys(providers);
+}
+
+module.exports = {
+    registerProvider,
+    createProvider,
+    listProviders,
+    OpenAICompatibleProvider,
+    OpenRouterProvider,
+    MockProvider
+};
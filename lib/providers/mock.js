@@ -0,0 +1,64 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Deterministic provider that replays canned responses from disk, so the whole
+// pipeline can run with no network. For each request it looks for, in order:
+//   <dir>/<sha256 of the prompt>.json|.txt
+//   <dir>/<subtitle filename>.json|.txt
+//   <dir>/default.json|.txt
+// The file holds the model's reply exactly as the model would send it.
+const EMPTY_RESPONSE = JSON.stringify({
+    summary: { spellingErrors: 0, grammarErrors: 0, overallQuality: 'No canned response' },
+    corrections: [],
+    analysis: 'Mock provider: no canned response found for this request.'
+});
+
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.cwd = options.cwd || process.cwd();
+        this.responsesDir = path.resolve(this.cwd, options.responsesDir || 'mock-responses');
+        this.model = options.model || 'mock';
+        this.cacheable = false; // Canned responses are already on disk
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    describe() {
+        return `mock (${path.relative(this.cwd, this.responsesDir) || '.'})`;
+    }
+
+    static hashMessages(messages) {
+        return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+    }
+
+    async findResponse(names) {
+        for (const name of names) {
+            for (const extension of ['.json', '.txt']) {
+                const candidate = path.join(this.responsesDir, `${name}${extension}`);
+                if (await fs.pathExists(candidate)) {
+                    return fs.readFile(candidate, 'utf8');
+                }
+            }
+        }
+        return null;
+    }
+
+    async complete(messages, context = {}) {
+        const names = [MockProvider.hashMessages(messages)];
+        if (context.filename) names.push(path.basename(context.filename));
+        names.push('default');
+
+        const content = await this.findResponse(names);
+        return {
+            content: content !== null ? content : EMPTY_RESPONSE,
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+            model: this.model
+        };
+    }
+}
+
+module.exports = MockProvider;
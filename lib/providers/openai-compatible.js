@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+// Any server that speaks the OpenAI chat completions API: Ollama, llama.cpp,
+// vLLM, LM Studio, or OpenAI itself
+class OpenAICompatibleProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'openai';
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || '';
+        this.model = options.model || 'llama3.1';
+        this.temperature = options.temperature !== undefined ? options.temperature : 0.1;
+        this.maxTokens = options.maxTokens || 2000;
+        this.timeout = options.timeout || 30000;
+        this.requiresApiKey = Boolean(options.requiresApiKey);
+        this.headers = options.headers || {};
+    }
+
+    isConfigured() {
+        return !this.requiresApiKey || Boolean(this.apiKey);
+    }
+
+    describe() {
+        return `${this.name} (${this.model})`;
+    }
+
+    async complete(messages) {
+        const headers = { 'Content-Type': 'application/json', ...this.headers };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            messages,
+            temperature: this.temperature,
+            max_tokens: this.maxTokens
+        }, {
+            headers,
+            timeout: this.timeout
+        });
+
+        return {
+            content: response.data.choices[0].message.content,
+            usage: response.data.usage,
+            model: response.data.model || this.model
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,16 @@
+const OpenAICompatibleProvider = require('./openai-compatible');
+
+class OpenRouterProvider extends OpenAICompatibleProvider {
+    constructor(options = {}) {
+        super({
+            ...options,
+            name: 'openrouter',
+            baseUrl: options.baseUrl || 'https://openrouter.ai/api/v1',
+            apiKey: options.apiKey || '',
+            model: options.model || 'deepseek/deepseek-r1-0528-qwen3-8b',
+            requiresApiKey: true
+        });
+    }
+}
+
+module.exports = OpenRouterProvider;
@@ -0,0 +1,187 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Deterministic timing and layout checks on parsed cues. Thresholds come from
+// a profile; a threshold set to null turns its rule off. `languages` holds
+// the thresholds that differ for a language, such as the much shorter lines
+// of Japanese and Chinese.
+const CJK_LANGUAGES = {
+    ja: { maxCps: 4, maxLineLength: 13 },
+    zh: { maxCps: 9, maxLineLength: 16 },
+    ko: { maxCps: 12, maxLineLength: 16 }
+};
+
+const PROFILES = {
+    default: {
+        maxCps: 20,
+        maxLineLength: 42,
+        maxLines: 2,
+        minDurationMs: 833,
+        maxDurationMs: 7000,
+        languages: CJK_LANGUAGES
+    },
+    netflix: {
+        maxCps: 17,
+        maxLineLength: 42,
+        maxLines: 2,
+        minDurationMs: 833,
+        maxDurationMs: 7000,
+        languages: CJK_LANGUAGES
+    },
+    bbc: {
+        maxCps: 17,
+        maxLineLength: 37,
+        maxLines: 2,
+        minDurationMs: 1000,
+        maxDurationMs: 8000
+    }
+};
+
+// Exact timestamp syntax per format; parsing alone is more forgiving
+const TIMESTAMP_SYNTAX = {
+    vtt: /^(?:\d{2,}:)?\d{2}:\d{2}\.\d{3}$/,
+    srt: /^\d{2,}:\d{2}:\d{2},\d{3}$/,
+    ass: /^\d+:\d{2}:\d{2}\.\d{2}$/
+};
+
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(2)}s`;
+}
+
+function finding(rule, cue, message) {
+    return { rule, cue: cue.index, line: cue.line, start: cue.start, end: cue.end, message };
+}
+
+function hasTiming(cue) {
+    return cue.startMs !== null && cue.endMs !== null;
+}
+
+// Each rule looks at one cue and the previous well-timed cue
+const RULES = [
+    {
+        id: 'timestamp',
+        check(cue, previous, profile, format) {
+            const syntax = TIMESTAMP_SYNTAX[format];
+            const bad = [['start', cue.start, cue.startMs], ['end', cue.end, cue.endMs]]
+                .filter(([, text, ms]) => ms === null || (syntax && !syntax.test(text)));
+            return bad.map(([which, text]) =>
+                finding('timestamp', cue, `Malformed ${which} timestamp "${text || ''}"`));
+        }
+    },
+    {
+        id: 'order',
+        check(cue, previous) {
+            if (!previous || !hasTiming(cue) || cue.startMs >= previous.startMs) return [];
+            return [finding('order', cue, `Starts at ${cue.start}, before cue ${previous.index} (${previous.start})`)];
+        }
+    },
+    {
+        id: 'overlap',
+        check(cue, previous) {
+            if (!previous || !hasTiming(cue) || cue.startMs < previous.startMs || cue.startMs >= previous.endMs) return [];
+            return [finding('overlap', cue, `Overlaps cue ${previous.index}, which ends at ${previous.end}`)];
+        }
+    },
+    {
+        id: 'duration',
+        check(cue, previous, profile) {
+            if (!hasTiming(cue)) return [];
+            const duration = cue.endMs - cue.startMs;
+            if (duration <= 0) {
+                return [finding('duration', cue, `Ends at ${cue.end}, not after it starts (${cue.start})`)];
+            }
+            if (profile.minDurationMs && duration < profile.minDurationMs) {
+                return [finding('duration', cue, `Shown for ${formatSeconds(duration)}, minimum is ${formatSeconds(profile.minDurationMs)}`)];
+            }
+            if (profile.maxDurationMs && duration > profile.maxDurationMs) {
+                return [finding('duration', cue, `Shown for ${formatSeconds(duration)}, maximum is ${formatSeconds(profile.maxDurationMs)}`)];
+            }
+            return [];
+        }
+    },
+    {
+        id: 'reading-speed',
+        check(cue, previous, profile) {
+            if (!profile.maxCps || !hasTiming(cue) || cue.endMs <= cue.startMs) return [];
+            const characters = cue.text.replace(/\n/g, '').length;
+            const cps = characters / ((cue.endMs - cue.startMs) / 1000);
+            if (cps <= profile.maxCps) return [];
+            return [finding('reading-speed', cue, `${cps.toFixed(1)} characters per second, maximum is ${profile.maxCps}`)];
+        }
+    },
+    {
+        id: 'line-length',
+        check(cue, previous, profile) {
+            if (!profile.maxLineLength) return [];
+            return cue.text.split('\n')
+                .map((text, i) => ({ text, number: i + 1 }))
+                .filter(({ text }) => text.length > profile.maxLineLength)
+                .map(({ text, number }) => finding('line-length', cue,
+                    `Line ${number} has ${text.length} characters, maximum is ${profile.maxLineLength}`));
+        }
+    },
+    {
+        id: 'line-count',
+        check(cue, previous, profile) {
+            const lines = cue.text.split('\n').length;
+            if (!profile.maxLines || !cue.text || lines <= profile.maxLines) return [];
+            return [finding('line-count', cue, `${lines} lines, maximum is ${profile.maxLines}`)];
+        }
+    }
+];
+
+// The profile's thresholds with the overrides for the file's language applied
+function thresholdsFor(profile, language) {
+    const languages = profile.languages || {};
+    const overrides = language ? languages[language] || languages[language.split('-')[0]] : null;
+    return overrides ? { ...profile, ...overrides } : profile;
+}
+
+function checkQuality(document, profile, language) {
+    profile = thresholdsFor(profile, language);
+    const findings = [];
+    let previous = null;
+
+    for (const cue of document.cues) {
+        for (const rule of RULES) {
+            findings.push(...rule.check(cue, previous, profile, document.format));
+        }
+        // Out-of-order cues are compared against the latest cue in time order
+        if (hasTiming(cue) && (!previous || cue.startMs >= previous.startMs)) {
+            previous = cue;
+        }
+    }
+    return findings;
+}
+
+// A built-in profile name, or a JSON file of thresholds that builds on a
+// built-in profile named in "extends" (default: "default")
+async function loadProfile(nameOrFile, cwd = process.cwd()) {
+    if (PROFILES[nameOrFile]) {
+        return { name: nameOrFile, ...PROFILES[nameOrFile] };
+    }
+
+    const profilePath = path.resolve(cwd, nameOrFile);
+    if (!await fs.pathExists(profilePath)) {
+        throw new Error(`Unknown QC profile "${nameOrFile}" (built in: ${Object.keys(PROFILES).join(', ')})`);
+    }
+
+    const custom = await fs.readJson(profilePath);
+    const base = custom.extends || 'default';
+    if (!PROFILES[base]) {
+        throw new Error(`QC profile ${nameOrFile} extends unknown profile "${base}"`);
+    }
+    const thresholds = { ...custom };
+    delete thresholds.extends;
+    const languages = { ...PROFILES[base].languages, ...custom.languages };
+    return { name: path.basename(profilePath), ...PROFILES[base], ...thresholds, languages };
+}
+
+module.exports = {
+    PROFILES,
+    RULES,
+    checkQuality,
+    loadProfile,
+    formatSeconds,
+    hasTiming
+};
@@ -0,0 +1,28 @@
+const { sleep } = require('./retry');
+
+// Spaces requests out to a maximum rate shared by every file and window.
+// MAX_CONCURRENCY limits how many requests are in flight; this limits how
+// often a new one may start. A 429 pauses everyone, not just the caller.
+class RateLimiter {
+    constructor(requestsPerMinute = 0) {
+        this.interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+        this.nextSlot = 0;
+        this.pausedUntil = 0;
+    }
+
+    async wait() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot, this.pausedUntil);
+        this.nextSlot = slot + this.interval;
+
+        if (slot > now) {
+            await sleep(slot - now);
+        }
+    }
+
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,172 @@
+const { escapeXml: escapeHtml } = require('./xml');
+
+// Self-contained HTML page (no external assets) with a before/after diff per file
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #1f2328; }
+h1 { font-size: 1.5rem; } h2 { font-size: 1.15rem; margin-top: 2rem; }
+.meta, .muted { color: #656d76; font-size: 0.9rem; }
+.badge { display: inline-block; padding: 0 0.5rem; border-radius: 1rem; font-size: 0.8rem; color: #fff; }
+.badge.ok { background: #1a7f37; } .badge.issues { background: #bf8700; } .badge.error { background: #cf222e; } .badge.skipped { background: #656d76; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; font-size: 0.9rem; }
+th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+pre.diff { border: 1px solid #d0d7de; border-radius: 6px; overflow-x: auto; font-size: 0.85rem; line-height: 1.4; }
+pre.diff span { display: block; padding: 0 0.5rem; white-space: pre; }
+.add { background: #dafbe1; } .del { background: #ffebe9; } .hunk { background: #ddf4ff; color: #0969da; } .file { color: #656d76; }
+del { color: #cf222e; } ins { color: #1a7f37; text-decoration: none; }
+`;
+
+function renderDiff(diff) {
+    const lines = diff.split(/\r?\n/).filter(line => !/^=+$/.test(line));
+    return '<pre class="diff">' + lines.map((line) => {
+        let className = '';
+        if (line.startsWith('+++') || line.startsWith('---')) className = 'file';
+        else if (line.startsWith('@@')) className = 'hunk';
+        else if (line.startsWith('+')) className = 'add';
+        else if (line.startsWith('-')) className = 'del';
+        return `<span class="${className}">${escapeHtml(line) || ' '}</span>`;
+    }).join('') + '</pre>';
+}
+
+function renderChanges(title, changes, showReason) {
+    if (!changes || changes.length === 0) return '';
+
+    const rows = changes.map(change => '<tr>' +
+        `<td>${escapeHtml(change.cue)}</td>` +
+        `<td>${escapeHtml(change.line || '')}</td>` +
+        `<td>${escapeHtml(change.start || '')}</td>` +
+        `<td>${escapeHtml(change.rule ? `${change.type}/${change.rule}` : change.type)}</td>` +
+        (change.manual
+            ? `<td dir="auto"><mark>${escapeHtml(change.original)}</mark></td>`
+            : `<td dir="auto"><del>${escapeHtml(change.original)}</del> → <ins>${escapeHtml(change.corrected)}</ins></td>`) +
+        `<td>${escapeHtml(showReason ? change.reason : change.explanation || '')}</td>` +
+        '</tr>').join('');
+
+    return `<h3>${escapeHtml(title)} (${changes.length})</h3>` +
+        `<table><tr><th>Cue</th><th>Line</th><th>Time</th><th>Type</th><th>Change</th><th>${showReason ? 'Reason' : 'Explanation'}</th></tr>${rows}</table>`;
+}
+
+// Why each suggestion was left for review: its confidence, and who proposed
+// it or what the model said when asked to confirm it
+function withConfidence(suggestions) {
+    return suggestions.map(suggestion => ({
+        ...suggestion,
+        reason: [
+            `${Math.round(suggestion.confidence * 100)}% confidence`,
+            suggestion.agreedBy ? `proposed by ${suggestion.agreedBy.join(', ')}` : suggestion.verdict
+        ].filter(Boolean).join(', ')
+    }));
+}
+
+function renderQualityIssues(issues) {
+    if (!issues || issues.length === 0) return '';
+
+    const rows = issues.map(issue => '<tr>' +
+        `<td>${escapeHtml(issue.cue)}</td>` +
+        `<td>${escapeHtml(issue.line || '')}</td>` +
+        `<td>${escapeHtml(issue.start || '')}</td>` +
+        `<td>${escapeHtml(issue.rule)}</td>` +
+        `<td>${escapeHtml(issue.message)}</td>` +
+        '</tr>').join('');
+
+    return `<h3>Timing and layout (${issues.length})</h3>` +
+        `<table><tr><th>Cue</th><th>Line</th><th>Time</th><th>Rule</th><th>Issue</th></tr>${rows}</table>`;
+}
+
+function renderFile(file) {
+    const issues = file.findings.length + file.qc.length;
+    let badge;
+    if (file.status === 'error') badge = '<span class="badge error">error</span>';
+    else if (issues > 0) badge = `<span class="badge issues">${issues} issues</span>`;
+    else if (file.status === 'skipped') badge = '<span class="badge skipped">skipped</span>';
+    else badge = '<span class="badge ok">clean</span>';
+
+    const parts = [`<h2>${escapeHtml(file.filename)} ${badge}</h2>`];
+    parts.push(`<div class="meta">${escapeHtml(file.format || '')}${file.language ? ` · ${escapeHtml(file.language)}` : ''}` +
+        `${file.model ? ` · ${escapeHtml(file.model)}` : ''}` +
+        `${file.usage ? ` · ${escapeHtml(file.usage.total_tokens)} tokens` : ''}</div>`);
+
+    if (file.message) parts.push(`<p class="muted">${escapeHtml(file.message)}</p>`);
+    if (file.summary && file.summary.overallQuality) {
+        parts.push(`<p>${escapeHtml(file.summary.overallQuality)}</p>`);
+    }
+
+    parts.push(renderChanges(file.dryRun ? 'Proposed corrections' : 'Applied corrections', file.applied, false));
+    parts.push(renderChanges('Not applied', file.notApplied, true));
+    parts.push(renderChanges('Suggestions for review', withConfidence(file.suggestions), true));
+    parts.push(renderChanges('Suppressed', file.suppressed, true));
+    parts.push(renderChanges('Rejected', file.rejected, true));
+
+    const unapplied = file.applied.length === 0 ? file.findings : [];
+    parts.push(renderChanges('Findings', unapplied, false));
+
+    parts.push(renderQualityIssues(file.qc));
+
+    if (file.diff) parts.push(renderDiff(file.diff));
+    return `<section>${parts.join('\n')}</section>`;
+}
+
+function renderConsistency(consistency) {
+    if (!consistency) return '';
+
+    const parts = ['<h2>Consistency across files</h2>'];
+    if (consistency.terms.length === 0 && consistency.tracks.length === 0) {
+        parts.push('<p class="muted">Names are spelled the same way everywhere, and parallel tracks line up.</p>');
+    }
+    if (consistency.terms.length > 0) {
+        const rows = consistency.terms.map(term => '<tr>' +
+            `<td>${escapeHtml(term.language || '')}</td>` +
+            `<td dir="auto">${term.variants.map(variant => `<mark>${escapeHtml(variant.text)}</mark> ×${variant.count}`).join(', ')}</td>` +
+            `<td>${term.variants.map(variant => escapeHtml(variant.files.join(', '))).join('<br>')}</td>` +
+            '</tr>').join('');
+        parts.push(`<h3>Spelled more than one way (${consistency.terms.length})</h3>` +
+            `<table><tr><th>Language</th><th>Spellings</th><th>Files</th></tr>${rows}</table>`);
+    }
+    if (consistency.tracks.length > 0) {
+        const rows = consistency.tracks.map(issue => '<tr>' +
+            `<td>${escapeHtml(issue.episode)}</td>` +
+            `<td>${escapeHtml(issue.filename)}</td>` +
+            `<td>${escapeHtml(issue.cue)}</td>` +
+            `<td>${escapeHtml(issue.rule)}</td>` +
+            `<td>${escapeHtml(issue.message)}</td>` +
+            '</tr>').join('');
+        parts.push(`<h3>Parallel tracks (${consistency.tracks.length})</h3>` +
+            `<table><tr><th>Episode</th><th>Track</th><th>Cue</th><th>Rule</th><th>Issue</th></tr>${rows}</table>`);
+    }
+    return `<section>${parts.join('\n')}</section>`;
+}
+
+function render(report) {
+    const { totals } = report;
+    const skipped = report.skipped.length > 0
+        ? `<h2>Unchanged files (${report.skipped.length})</h2><ul>${report.skipped.map(file =>
+            `<li>${escapeHtml(file.filename)} <span class="muted">(${escapeHtml(file.reason)})</span></li>`).join('')}</ul>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Subtitle checking report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Subtitle checking report</h1>
+<p class="meta">${escapeHtml(report.generatedAt)} · ${escapeHtml(report.provider)}${report.dryRun ? ' · dry run' : ''}</p>
+<table>
+<tr><th>Files analysed</th><th>Errors</th><th>Issues found</th><th>Corrections ${report.dryRun ? 'proposed' : 'applied'}</th><th>Tokens</th><th>Cost</th></tr>
+<tr><td>${totals.succeeded}</td><td>${totals.failed}</td><td>${totals.findings}</td><td>${totals.applied}</td><td>${totals.usage.total_tokens}</td><td>$${totals.cost.toFixed(totals.cost >= 0.01 || totals.cost === 0 ? 2 : 6)}</td></tr>
+</table>
+${report.files.map(renderFile).join('\n')}
+${renderConsistency(report.consistency)}
+${skipped}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    name: 'html',
+    extension: '.html',
+    render
+};
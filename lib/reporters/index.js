@@ -0,0 +1,46 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Report writers selected with --report. A writer renders the report model
+// built by SubtitleChecker.buildReport() into a string.
+const writers = {};
+
+function registerReportWriter(writer) {
+    writers[writer.name] = writer;
+}
+
+function getReportWriter(name) {
+    const writer = writers[name];
+    if (!writer) {
+        throw new Error(`Unknown report format "${name}" (available: ${Object.keys(writers).join(', ')})`);
+    }
+    return writer;
+}
+
+function listReportWriters() {
+    return Object.keys(writers);
+}
+
+// Writes <dir>/<basename><extension> for each format, returns the paths
+async function writeReports(report, formatNames, { dir, basename = 'subtitle-report' }) {
+    const written = [];
+    for (const name of formatNames) {
+        const writer = getReportWriter(name);
+        const outputPath = path.join(dir, `${basename}${writer.extension}`);
+        await fs.outputFile(outputPath, writer.render(report), 'utf8');
+        written.push(outputPath);
+    }
+    return written;
+}
+
+registerReportWriter(require('./json'));
+registerReportWriter(require('./junit'));
+registerReportWriter(require('./sarif'));
+registerReportWriter(require('./html'));
+
+module.exports = {
+    registerReportWriter,
+    getReportWriter,
+    listReportWriters,
+    writeReports
+};
@@ -0,0 +1,6 @@
+// Everything the run produced, for dashboards and other tools
+module.exports = {
+    name: 'json',
+    extension: '.json',
+    render: report => `${JSON.stringify(report, null, 2)}\n`
+};
@@ -0,0 +1,78 @@
+const { escapeXml } = require('./xml');
+
+// JUnit XML with one test case per subtitle file: findings and timing or
+// layout issues fail the test, processing errors error it, files that were
+// not analysed are skipped
+function renderTestCase(file) {
+    const attributes = `classname="subtitles.${escapeXml(file.format || 'unknown')}" name="${escapeXml(file.filename)}"`;
+
+    if (file.status === 'error') {
+        return `    <testcase ${attributes}>\n      <error message="${escapeXml(file.message)}"/>\n    </testcase>`;
+    }
+    if (file.status === 'skipped' && file.qc.length === 0) {
+        return `    <testcase ${attributes}>\n      <skipped message="${escapeXml(file.message)}"/>\n    </testcase>`;
+    }
+    const issues = file.findings.length + file.qc.length;
+    if (issues === 0) {
+        return `    <testcase ${attributes}/>`;
+    }
+
+    const details = file.findings.map(finding =>
+        `${file.filename}:${finding.line || '?'} [${finding.rule ? `${finding.type}/${finding.rule}` : finding.type}] ` +
+        (finding.manual ? `"${finding.original}"` : `"${finding.original}" → "${finding.corrected}"`) +
+        (finding.explanation ? ` (${finding.explanation})` : '') +
+        (finding.confidence !== undefined ? ` [${Math.round(finding.confidence * 100)}% confidence]` : '')
+    ).concat(file.qc.map(issue =>
+        `${file.filename}:${issue.line || '?'} [${issue.rule}] cue ${issue.cue}: ${issue.message}`
+    )).join('\n');
+
+    return `    <testcase ${attributes}>\n` +
+        `      <failure message="${issues} issues found" type="subtitle-errors">${escapeXml(details)}</failure>\n` +
+        '    </testcase>';
+}
+
+function hasIssues(file) {
+    return file.status !== 'error' && file.findings.length + file.qc.length > 0;
+}
+
+// One more test case for the checks across files, when they ran
+function renderConsistency(consistency) {
+    const attributes = 'classname="subtitles.consistency" name="consistency"';
+    const issues = consistency.terms.length + consistency.tracks.length;
+    if (issues === 0) {
+        return `    <testcase ${attributes}/>`;
+    }
+
+    const details = consistency.terms.map(term => `[${term.rule}] ${term.message}`)
+        .concat(consistency.tracks.map(issue => `${issue.filename}:${issue.line || '?'} [${issue.rule}] ${issue.message}`))
+        .join('\n');
+
+    return `    <testcase ${attributes}>\n` +
+        `      <failure message="${issues} consistency issues found" type="subtitle-consistency">${escapeXml(details)}</failure>\n` +
+        '    </testcase>';
+}
+
+function render(report) {
+    const files = report.files;
+    const testCases = files.map(renderTestCase);
+    let failures = files.filter(hasIssues).length;
+    if (report.consistency) {
+        testCases.push(renderConsistency(report.consistency));
+        if (report.totals.consistency > 0) failures++;
+    }
+    const errors = files.filter(file => file.status === 'error').length;
+    const skipped = files.filter(file => file.status === 'skipped' && !hasIssues(file)).length;
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<testsuites name="subtitle-checker" tests="${testCases.length}" failures="${failures}" errors="${errors}">\n` +
+        `  <testsuite name="subtitle-checker" tests="${testCases.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" timestamp="${escapeXml(report.generatedAt)}">\n` +
+        testCases.join('\n') + (testCases.length > 0 ? '\n' : '') +
+        '  </testsuite>\n' +
+        '</testsuites>\n';
+}
+
+module.exports = {
+    name: 'junit',
+    extension: '.junit.xml',
+    render
+};
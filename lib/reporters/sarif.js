@@ -0,0 +1,158 @@
+const path = require('path');
+
+// SARIF 2.1.0, so findings show up as code-scanning annotations on the
+// subtitle file and line
+const RULE_DESCRIPTIONS = {
+    spelling: 'Spelling mistake in subtitle text',
+    grammar: 'Grammar mistake in subtitle text',
+    'style/ellipsis': 'Ellipsis written against the house style',
+    'style/numbers': 'Number written as digits where the house style spells it out',
+    'style/speaker-dash': 'Speaker dash written against the house style',
+    'style/offscreen-italics': 'Off-screen voice not set in italics',
+    'style/quotes': 'Quotation marks written against the house style',
+    'style/forbidden-words': 'Word the house style does not allow',
+    'qc/timestamp': 'Malformed cue timestamp',
+    'qc/order': 'Cue starts before the previous cue',
+    'qc/overlap': 'Cue overlaps the previous cue',
+    'qc/duration': 'Cue is shown too briefly or too long',
+    'qc/reading-speed': 'Reading speed above the profile limit',
+    'qc/line-length': 'Line longer than the profile limit',
+    'qc/line-count': 'Cue has more lines than the profile allows',
+    'consistency/term-variant': 'Name or term spelled differently elsewhere',
+    'consistency/cue-count': 'Parallel track has a different number of cues',
+    'consistency/timing-drift': 'Parallel track is timed differently'
+};
+
+// Relative to the folder the checker ran in, as code scanning tools expect
+function toUri(filePath, cwd) {
+    return path.relative(cwd, filePath).split(path.sep).join('/');
+}
+
+function render(report) {
+    const ruleIds = new Set(['spelling', 'grammar']);
+    const results = [];
+
+    for (const file of report.files) {
+        // Verified corrections not certain enough to apply are left for review
+        const suggested = new Set(file.suggestions.map(suggestion => `${suggestion.cue}|${suggestion.original}|${suggestion.corrected}`));
+
+        for (const finding of file.findings) {
+            const ruleId = finding.rule ? `${finding.type}/${finding.rule}` : finding.type || 'spelling';
+            ruleIds.add(ruleId);
+
+            const region = { startLine: finding.line || 1 };
+            if (finding.column) {
+                region.startColumn = finding.column;
+                region.endColumn = finding.endColumn || finding.column;
+            }
+
+            const properties = {};
+            if (file.language) properties.language = file.language;
+            if (finding.confidence !== undefined) properties.confidence = finding.confidence;
+            const isSuggestion = suggested.has(`${finding.cue}|${finding.original}|${finding.corrected}`);
+
+            results.push({
+                ruleId,
+                level: isSuggestion ? 'warning' : 'error',
+                message: {
+                    text: (finding.manual ? `"${finding.original}" needs a manual fix` : `"${finding.original}" should be "${finding.corrected}"`) +
+                        (finding.explanation ? `: ${finding.explanation}` : '') +
+                        (isSuggestion ? ` (suggestion, ${Math.round(finding.confidence * 100)}% confidence)` : '')
+                },
+                properties: Object.keys(properties).length > 0 ? properties : undefined,
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: toUri(file.filePath, report.cwd) },
+                        region
+                    }
+                }]
+            });
+        }
+
+        for (const issue of file.qc) {
+            const ruleId = `qc/${issue.rule}`;
+            ruleIds.add(ruleId);
+
+            results.push({
+                ruleId,
+                level: 'warning',
+                message: { text: `Cue ${issue.cue}: ${issue.message}` },
+                properties: file.language ? { language: file.language } : undefined,
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: toUri(file.filePath, report.cwd) },
+                        region: { startLine: issue.line || 1 }
+                    }
+                }]
+            });
+        }
+    }
+
+    // Across files: each place a less used spelling appears, and the track
+    // that does not line up with the first track of its episode
+    const consistency = report.consistency || { terms: [], tracks: [] };
+    for (const term of consistency.terms) {
+        const ruleId = `consistency/${term.rule}`;
+        ruleIds.add(ruleId);
+
+        for (const variant of term.variants.slice(1)) {
+            for (const at of variant.occurrences) {
+                results.push({
+                    ruleId,
+                    level: 'warning',
+                    message: { text: `Cue ${at.cue}: "${variant.text}" is spelled more than one way: ${term.message}` },
+                    properties: term.language ? { language: term.language } : undefined,
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: toUri(at.filePath, report.cwd) },
+                            region: { startLine: at.line || 1 }
+                        }
+                    }]
+                });
+            }
+        }
+    }
+
+    for (const issue of consistency.tracks) {
+        const ruleId = `consistency/${issue.rule}`;
+        ruleIds.add(ruleId);
+
+        results.push({
+            ruleId,
+            level: 'warning',
+            message: { text: issue.message },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: toUri(issue.filePath, report.cwd) },
+                    region: { startLine: issue.line || 1 }
+                }
+            }]
+        });
+    }
+
+    const sarif = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: report.tool.name,
+                    version: report.tool.version,
+                    rules: [...ruleIds].map(id => ({
+                        id,
+                        shortDescription: { text: RULE_DESCRIPTIONS[id] || `${id} issue in subtitle text` }
+                    }))
+                }
+            },
+            results
+        }]
+    };
+
+    return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+module.exports = {
+    name: 'sarif',
+    extension: '.sarif',
+    render
+};
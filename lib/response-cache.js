@@ -0,0 +1,64 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// On-disk cache of raw model responses, one file per request. The key covers
+// the provider, the model and the full messages (prompt and subtitle text), so
+// re-running after a crash or re-checking an unchanged window is free.
+class ResponseCache {
+    constructor(cacheDir, { enabled = true } = {}) {
+        this.cacheDir = cacheDir;
+        this.enabled = enabled;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    static key({ provider, model, messages }) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify({ provider, model, messages }))
+            .digest('hex');
+    }
+
+    entryPath(key) {
+        return path.join(this.cacheDir, key.slice(0, 2), `${key}.json`);
+    }
+
+    async get(key) {
+        if (!this.enabled) return null;
+
+        try {
+            const entryPath = this.entryPath(key);
+            if (await fs.pathExists(entryPath)) {
+                const entry = await fs.readJson(entryPath);
+                this.hits++;
+                return entry.response;
+            }
+        } catch (error) {
+            // A corrupt entry is treated as a miss and overwritten
+        }
+        this.misses++;
+        return null;
+    }
+
+    // Whether a request would be answered from the cache; not counted as a hit
+    async has(key) {
+        return this.enabled && fs.pathExists(this.entryPath(key));
+    }
+
+    async set(key, response) {
+        if (!this.enabled) return;
+
+        // Write to a temporary file first so a crash never leaves half an entry
+        const entryPath = this.entryPath(key);
+        const tempPath = `${entryPath}.${process.pid}.tmp`;
+        await fs.outputJson(tempPath, { createdAt: new Date().toISOString(), response });
+        await fs.move(tempPath, entryPath, { overwrite: true });
+    }
+
+    async delete(key) {
+        if (!this.enabled) return;
+        await fs.remove(this.entryPath(key));
+    }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,67 @@
+// Retries with exponential backoff and jitter for transient API failures
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Timeouts, dropped connections, 429 and 5xx responses are worth retrying;
+// other 4xx responses (bad key, bad request) will fail the same way again
+function isRetryableError(error) {
+    if (error.response) {
+        const status = error.response.status;
+        return status === 408 || status === 429 || status >= 500;
+    }
+    return RETRYABLE_CODES.includes(error.code) || /timeout/i.test(error.message || '');
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function getRetryAfter(error) {
+    const headers = error.response && error.response.headers;
+    const value = headers && (headers['retry-after'] || headers['Retry-After']);
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+    const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    // "Equal jitter": half fixed, half random, so parallel clients spread out
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+async function withRetry(fn, options = {}) {
+    const {
+        retries = 3,
+        baseDelay = 1000,
+        maxDelay = 30000,
+        onRetry = () => {}
+    } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt > retries || !isRetryableError(error)) {
+                throw error;
+            }
+
+            const retryAfter = getRetryAfter(error);
+            const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, { baseDelay, maxDelay });
+            onRetry({ attempt, retries, delay, error });
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    sleep,
+    isRetryableError,
+    getRetryAfter,
+    withRetry
+};
@@ -0,0 +1,32 @@
+// Semaphore class to control concurrency
+class Semaphore {
+    constructor(max) {
+        this.max = max;
+        this.current = 0;
+        this.waiting = [];
+    }
+
+    acquire() {
+        return new Promise((resolve) => {
+            if (this.current < this.max) {
+                this.current++;
+                resolve(() => this.release());
+            } else {
+                this.waiting.push(() => {
+                    this.current++;
+                    resolve(() => this.release());
+                });
+            }
+        });
+    }
+
+    release() {
+        this.current--;
+        if (this.waiting.length > 0) {
+            const next = this.waiting.shift();
+            next();
+        }
+    }
+}
+
+module.exports = Semaphore;
@@ -0,0 +1,337 @@
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const formats = require('./formats');
+const Semaphore = require('./semaphore');
+const { StateStore } = require('./state');
+
+const JOBS_FILE = 'jobs.json';
+const MODES = ['check', 'fix'];
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+    vtt: 'text/vtt',
+    srt: 'application/x-subrip',
+    ass: 'text/x-ssa',
+    ttml: 'application/ttml+xml'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// The uploaded name if it has a subtitle extension, otherwise one that
+// matches the format the content looks like
+function uploadName(filename, content) {
+    const name = filename ? path.basename(String(filename)) : '';
+    if (name && formats.isSupportedFile(name)) return name;
+
+    const format = formats.sniffFormat(content);
+    if (!format) {
+        throw new HttpError(415, `Unsupported subtitle format (supported: ${formats.supportedExtensions().join(', ')})`);
+    }
+    const stem = name ? path.basename(name, path.extname(name)) : 'subtitle';
+    return `${stem}${format.extensions[0]}`;
+}
+
+// Header values must be ASCII: a plain fallback name, and the real one
+// percent-encoded as UTF-8 (RFC 5987) for clients that read filename*
+function contentDisposition(filename) {
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(filename)
+        .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Check and fix jobs for the HTTP service. Jobs wait on a semaphore, so at
+// most `concurrency` files are checked at once and the rest stay queued.
+// Uploads and corrected copies live below the jobs folder, and the job
+// records are kept in jobs.json the way the state file keeps file results,
+// so finished jobs survive a restart and unfinished ones are queued again:
+//
+//   .subtitle-checker-jobs/jobs.json
+//   .subtitle-checker-jobs/uploads/<job id>/episode01.vtt
+//   .subtitle-checker-jobs/corrected/<job id>/episode01.vtt
+//
+// `checker` is a SubtitleChecker in fix mode writing to the corrected folder.
+// Like the checker, the service prints nothing; it emits:
+//
+//   jobs-loaded    { jobs, requeued } when earlier jobs were read back
+//   job-created    { job }
+//   warning        { message }
+//   failure        { message, error }, also for requests the server could not answer
+class JobService extends EventEmitter {
+    constructor({ checker, jobsDir, concurrency }) {
+        super();
+        this.checker = checker;
+        this.jobsDir = jobsDir;
+        // Written like the state file, so a crash mid-write keeps the last complete jobs file
+        this.store = new StateStore(path.join(jobsDir, JOBS_FILE));
+        this.uploadsDir = path.join(jobsDir, 'uploads');
+        this.queue = new Semaphore(concurrency);
+        this.jobs = new Map();
+        this.saving = Promise.resolve();
+    }
+
+    async load() {
+        let records = {};
+        try {
+            records = await this.store.load() || {};
+        } catch (error) {
+            this.emit('warning', { message: 'Could not load the jobs file, starting with no jobs' });
+        }
+
+        const unfinished = [];
+        for (const job of Object.values(records)) {
+            if (job.status === 'queued' || job.status === 'running') {
+                job.status = 'queued';
+                job.startedAt = null;
+                unfinished.push(job);
+            }
+            this.jobs.set(job.id, job);
+        }
+        if (this.jobs.size > 0) {
+            this.emit('jobs-loaded', { jobs: this.jobs.size, requeued: unfinished.length });
+        }
+        unfinished.forEach(job => this.run(job));
+    }
+
+    // Writes are queued so jobs finishing at the same time cannot interleave
+    save() {
+        this.saving = this.saving.catch(() => {}).then(async () => {
+            await this.store.save(Object.fromEntries(this.jobs));
+        }).catch((error) => {
+            this.emit('failure', { message: 'Error saving jobs', error });
+        });
+        return this.saving;
+    }
+
+    async create({ mode = 'check', filename, content }) {
+        if (!MODES.includes(mode)) {
+            throw new HttpError(400, `Unknown mode "${mode}" (expected ${MODES.join(' or ')})`);
+        }
+        if (typeof content !== 'string' || content.trim().length === 0) {
+            throw new HttpError(400, 'No subtitle content in the request');
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            mode,
+            filename: uploadName(filename, content),
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            error: null,
+            result: null
+        };
+        await fs.outputFile(this.uploadPath(job), content, 'utf8');
+        this.jobs.set(job.id, job);
+        await this.save();
+
+        this.emit('job-created', { job });
+        this.run(job);
+        return job;
+    }
+
+    async run(job) {
+        const release = await this.queue.acquire();
+        try {
+            job.status = 'running';
+            job.startedAt = new Date().toISOString();
+            await this.save();
+
+            const entry = await this.checker.checkFile({
+                filename: `${job.id}/${job.filename}`,
+                filePath: this.uploadPath(job),
+                root: this.uploadsDir,
+                checkOnly: job.mode === 'check'
+            });
+
+            if (entry) {
+                const { filePath, ...result } = entry;
+                job.result = { ...result, filename: job.filename };
+            }
+            if (entry && entry.status === 'error') {
+                job.status = 'failed';
+                job.error = entry.message;
+            } else {
+                job.status = 'done';
+            }
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+        } finally {
+            job.finishedAt = new Date().toISOString();
+            await this.save();
+            release();
+        }
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    list() {
+        return [...this.jobs.values()];
+    }
+
+    uploadPath(job) {
+        return path.join(this.uploadsDir, job.id, job.filename);
+    }
+
+    // The corrected copy, or the upload itself when a fix job changed nothing
+    async correctedPath(job) {
+        const outputPath = path.join(this.checker.outputDir, job.id, job.filename);
+        return await fs.pathExists(outputPath) ? outputPath : this.uploadPath(job);
+    }
+}
+
+function describeJob(job) {
+    const links = { self: `/jobs/${job.id}` };
+    if (job.mode === 'fix') links.file = `/jobs/${job.id}/file`;
+    return { ...job, links };
+}
+
+function sendJson(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    response.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+async function readBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES / 1024 / 1024} MB`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// A JSON body { mode, filename, content }, or the subtitle file itself as the
+// body with mode and filename in the query string
+async function readJobRequest(request, url) {
+    const body = await readBody(request);
+    const query = {
+        mode: url.searchParams.get('mode') || undefined,
+        filename: url.searchParams.get('filename') || undefined
+    };
+
+    if (!/^application\/json\b/i.test(request.headers['content-type'] || '')) {
+        return { ...query, content: body };
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch (error) {
+        throw new HttpError(400, `Request body is not valid JSON: ${error.message}`);
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    return {
+        mode: parsed.mode || query.mode,
+        filename: parsed.filename || query.filename,
+        content: parsed.content
+    };
+}
+
+function allowMethods(request, methods) {
+    if (!methods.includes(request.method)) {
+        throw new HttpError(405, `${request.method} is not allowed here (use ${methods.join(' or ')})`);
+    }
+}
+
+// POST /jobs                create a job from a subtitle file or JSON body
+// GET  /jobs                list jobs without their results
+// GET  /jobs/<id>           job status and, once done, the structured result
+// GET  /jobs/<id>/file      corrected file of a finished fix job
+// GET  /health              queue overview
+async function handleRequest(service, request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const [resource, id, extra, ...rest] = url.pathname.split('/').filter(Boolean);
+
+    if (resource === 'health' && !id) {
+        allowMethods(request, ['GET']);
+        const jobs = service.list();
+        const count = status => jobs.filter(job => job.status === status).length;
+        sendJson(response, 200, { status: 'ok', queued: count('queued'), running: count('running') });
+        return;
+    }
+
+    if (resource !== 'jobs' || rest.length > 0 || (extra && extra !== 'file')) {
+        throw new HttpError(404, `Not found: ${url.pathname}`);
+    }
+
+    if (!id) {
+        allowMethods(request, ['GET', 'POST']);
+        if (request.method === 'GET') {
+            sendJson(response, 200, { jobs: service.list().map(({ result, ...job }) => describeJob(job)) });
+            return;
+        }
+        const job = await service.create(await readJobRequest(request, url));
+        sendJson(response, 202, describeJob(job), { Location: `/jobs/${job.id}` });
+        return;
+    }
+
+    allowMethods(request, ['GET']);
+    const job = service.get(id);
+    if (!job) {
+        throw new HttpError(404, `No such job: ${id}`);
+    }
+
+    if (!extra) {
+        sendJson(response, 200, describeJob(job));
+        return;
+    }
+
+    if (job.mode !== 'fix') {
+        throw new HttpError(409, 'Check jobs leave the file unchanged; the proposed changes are in the job result');
+    }
+    if (job.status === 'failed') {
+        throw new HttpError(409, `Job failed: ${job.error}`);
+    }
+    if (job.status !== 'done') {
+        throw new HttpError(409, `Job is still ${job.status}`);
+    }
+
+    const format = formats.getFormatByExtension(job.filename);
+    const content = await fs.readFile(await service.correctedPath(job));
+    response.writeHead(200, {
+        'Content-Type': `${(format && CONTENT_TYPES[format.name]) || 'text/plain'}; charset=utf-8`,
+        'Content-Disposition': contentDisposition(job.filename)
+    });
+    response.end(content);
+}
+
+function createServer(service) {
+    return http.createServer((request, response) => {
+        handleRequest(service, request, response).catch((error) => {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) {
+                service.emit('failure', { message: `${request.method} ${request.url}`, error });
+            }
+            if (response.headersSent) {
+                response.end();
+            } else {
+                sendJson(response, status, { error: error.message }, status === 413 ? { Connection: 'close' } : {});
+            }
+        });
+    });
+}
+
+module.exports = {
+    HttpError,
+    JobService,
+    createServer
+};
@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const path = require('path');
+const nspell = require('nspell');
+
+// Deterministic offline spell check against Hunspell .aff/.dic dictionaries.
+// Findings use the same correction shape as the model's, so they flow through
+// applyCorrections and the reports unchanged.
+
+// Letters, combining marks and inner apostrophes ("don't", "l'homme")
+const WORD = /[\p{L}\p{M}]+(?:['’][\p{L}\p{M}]+)*/gu;
+
+// For each language, look for <lang>.aff, <lang>/index.aff (dictionary-* npm
+// packages), then <lang>_XX.aff / <lang>-XX.aff (en_US, pt-BR). A regional
+// code such as pt-BR also matches pt_BR.aff and then any pt dictionary.
+async function findDictionary(dictionaryDir, language) {
+    const candidates = [path.join(dictionaryDir, language), path.join(dictionaryDir, language, 'index')];
+
+    if (language.includes('-')) {
+        candidates.push(path.join(dictionaryDir, language.replace('-', '_')));
+        language = language.split('-')[0];
+        candidates.push(path.join(dictionaryDir, language), path.join(dictionaryDir, language, 'index'));
+    }
+
+    if (await fs.pathExists(dictionaryDir)) {
+        const prefix = language.toLowerCase();
+        const regional = (await fs.readdir(dictionaryDir))
+            .filter(file => file.endsWith('.aff') && [`${prefix}_`, `${prefix}-`].some(start => file.toLowerCase().startsWith(start)))
+            .sort();
+        candidates.push(...regional.map(file => path.join(dictionaryDir, file.slice(0, -4))));
+    }
+
+    for (const base of candidates) {
+        if (await fs.pathExists(`${base}.aff`) && await fs.pathExists(`${base}.dic`)) {
+            return base;
+        }
+    }
+    return null;
+}
+
+class DictionarySpellChecker {
+    constructor(language, aff, dic) {
+        this.language = language;
+        this.speller = nspell(aff, dic);
+        this.suggestions = new Map();
+    }
+
+    add(word) {
+        this.speller.add(word);
+        this.suggestions.delete(word);
+    }
+
+    suggest(word) {
+        if (!this.suggestions.has(word)) {
+            this.suggestions.set(word, this.speller.suggest(word));
+        }
+        return this.suggestions.get(word);
+    }
+
+    // A capitalised word that does not start a sentence is most likely a name
+    static isLikelyName(text, word, index) {
+        if (word[0] === word[0].toLowerCase()) return false;
+        const before = text.slice(0, index).trimEnd();
+        return before.length > 0 && !/[.!?…:\-–—"“«¿¡]$/.test(before);
+    }
+
+    checkCue(cue) {
+        const corrections = [];
+        const seen = new Set();
+
+        for (const match of cue.text.matchAll(WORD)) {
+            const word = match[0];
+            if (word.length < 2 || seen.has(word)) continue;
+            seen.add(word);
+
+            // Acronyms and names are left to the glossary and the model
+            if (word === word.toUpperCase() || DictionarySpellChecker.isLikelyName(cue.text, word, match.index)) continue;
+            if (this.speller.correct(word)) continue;
+
+            const suggestions = this.suggest(word);
+            if (suggestions.length === 0) continue;
+
+            corrections.push({
+                cue: cue.index,
+                original: word,
+                corrected: suggestions[0],
+                type: 'spelling',
+                explanation: `Not in the ${this.language} dictionary` +
+                    (suggestions.length > 1 ? ` (also: ${suggestions.slice(1, 4).join(', ')})` : ''),
+                source: 'dictionary'
+            });
+        }
+
+        return corrections;
+    }
+
+    check(cues) {
+        return cues.reduce((corrections, cue) => corrections.concat(this.checkCue(cue)), []);
+    }
+}
+
+// Base names of the dictionaries in a folder (en, fr_FR), for messages and fallbacks
+async function listDictionaries(dictionaryDir) {
+    if (!await fs.pathExists(dictionaryDir)) return [];
+    const files = await fs.readdir(dictionaryDir);
+    return files
+        .filter(file => file.endsWith('.aff') && files.includes(`${file.slice(0, -4)}.dic`))
+        .map(file => file.slice(0, -4))
+        .sort();
+}
+
+// Returns null when no dictionary for the language is installed
+async function loadDictionary(dictionaryDir, language) {
+    const base = await findDictionary(dictionaryDir, language);
+    if (!base) return null;
+
+    const [aff, dic] = await Promise.all([fs.readFile(`${base}.aff`), fs.readFile(`${base}.dic`)]);
+    return new DictionarySpellChecker(language, aff, dic);
+}
+
+module.exports = {
+    DictionarySpellChecker,
+    findDictionary,
+    listDictionaries,
+    loadDictionary
+};
@@ -0,0 +1,113 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// A lock file that is unreadable for longer than this was left half-written
+const UNREADABLE_LOCK_MS = 60000;
+
+class StateLockError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StateLockError';
+    }
+}
+
+// State keys are paths relative to the working directory with forward slashes
+// and composed Unicode, so "./a/../ep.vtt" and "ep.vtt", or a name typed with
+// a decomposed "é", all map to the same entry
+function stateKey(filePath, cwd = process.cwd()) {
+    const absolute = path.resolve(cwd, filePath);
+    const relative = path.relative(cwd, absolute) || path.basename(absolute);
+    return relative.split(path.sep).join('/').normalize('NFC');
+}
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: the process exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+// The state file, written atomically, and a lock file next to it that keeps
+// two runs from loading and saving it at the same time:
+//
+//   .subtitle-checker-state.json
+//   .subtitle-checker-state.json.lock   {"pid": 4242, "startedAt": "..."}
+//
+// A lock whose process is gone was left by a run that crashed or was
+// interrupted, and is taken over.
+class StateStore {
+    constructor(stateFile) {
+        this.stateFile = stateFile;
+        this.lockFile = `${stateFile}.lock`;
+        this.locked = false;
+    }
+
+    // null when there is no state file yet; throws when it cannot be read
+    async load() {
+        if (!await fs.pathExists(this.stateFile)) return null;
+        return fs.readJson(this.stateFile);
+    }
+
+    // A crash halfway through leaves the old state file, never a truncated one
+    async save(entries) {
+        const tempPath = `${this.stateFile}.${process.pid}.tmp`;
+        await fs.outputJson(tempPath, entries, { spaces: 2 });
+        await fs.move(tempPath, this.stateFile, { overwrite: true });
+    }
+
+    async lock() {
+        await fs.ensureDir(path.dirname(this.lockFile));
+        const owner = JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() });
+
+        // A second attempt after clearing a stale lock; losing that race to
+        // another run means the other run holds the lock now
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                await fs.writeFile(this.lockFile, owner, { flag: 'wx' });
+                this.locked = true;
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const holder = await this.lockHolder();
+            if (holder) {
+                throw new StateLockError(
+                    `${this.stateFile} is in use by another run (pid ${holder.pid}, since ${holder.startedAt}). ` +
+                    `If no other run is going, delete ${this.lockFile}.`
+                );
+            }
+            await fs.remove(this.lockFile);
+        }
+        throw new StateLockError(`${this.stateFile} is in use by another run`);
+    }
+
+    // The lock's owner while it is alive, or null when the lock is stale
+    async lockHolder() {
+        try {
+            const holder = await fs.readJson(this.lockFile);
+            return isRunning(holder.pid) ? holder : null;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            // Being written right now, or left half-written long ago
+            const stats = await fs.stat(this.lockFile).catch(() => null);
+            if (!stats || Date.now() - stats.mtimeMs > UNREADABLE_LOCK_MS) return null;
+            return { pid: 'unknown', startedAt: stats.mtime.toISOString() };
+        }
+    }
+
+    async unlock() {
+        if (!this.locked) return;
+        this.locked = false;
+        await fs.remove(this.lockFile);
+    }
+}
+
+module.exports = {
+    StateLockError,
+    StateStore,
+    stateKey
+};
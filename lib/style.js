@@ -0,0 +1,266 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { termPattern, matchCase } = require('./glossary');
+const { findText, escapeRegExp } = require('./formats');
+
+// House style rules from a client's style guide, kept in a JSON profile.
+// Every setting is optional; a rule only runs when its setting is there:
+//
+//   {
+//     "name": "acme",
+//     "ellipsis": "character",             "character" (…) or "dots" (...)
+//     "spellOutNumbersTo": 10,             whole numbers up to this are written out
+//     "speakerDash": "- ",                 how each speaker's line in a dialogue starts
+//     "offScreenMarkers": ["(V.O.)"],      cues with these are set in italics
+//     "quotes": "curly",                   "straight", "curly" or "guillemets"
+//     "forbiddenWords": { "gonna": "going to", "damn": null }
+//   }
+//
+// A rule returns style corrections that name it. Where a fix is not safe to
+// make without a person (a forbidden word with no replacement, italics, a
+// number in a language without a word list) the correction is marked
+// `manual` and has no corrected text; it is reported but never applied.
+
+const NUMBER_WORDS = {
+    en: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+        'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty']
+};
+
+const QUOTES = {
+    straight: ['"', '"'],
+    curly: ['“', '”'],
+    guillemets: ['«', '»']
+};
+
+const SPEAKER_DASH = /^[-–—]\s*(?=\S)/;
+const ITALICS = /<i\b|\{\\i1\}|fontStyle\s*=\s*["']italic["']/i;
+
+// Where replaceCueText would find `needle` first
+function firstIndex(text, needle) {
+    const found = findText(text, needle);
+    return found ? found.index : -1;
+}
+
+// The text from `start` to `end`, widened a word at a time until it is the
+// first occurrence replaceCueText finds, so a fix for the second "..." in a
+// cue does not land on the first one
+function anchor(text, start, end) {
+    let from = start;
+    let to = end;
+    while (firstIndex(text, text.slice(from, to)) !== from) {
+        if (to < text.length) {
+            const next = text.slice(to).match(/^\s*\S+/);
+            to = next ? to + next[0].length : text.length;
+        } else if (from > 0) {
+            const previous = text.slice(0, from).match(/\S+\s*$/);
+            from = previous ? from - previous[0].length : 0;
+        } else {
+            return null;
+        }
+    }
+    return { original: text.slice(from, to), from, to };
+}
+
+// A style correction for text[start, end) becoming `replacement`, or a
+// manual one when `replacement` is null
+function correction(rule, cue, start, end, replacement, explanation) {
+    const span = anchor(cue.text, start, end);
+    if (!span) return null;
+
+    const corrected = replacement === null
+        ? null
+        : span.original.slice(0, start - span.from) + replacement + span.original.slice(end - span.from);
+    return {
+        cue: cue.index,
+        original: span.original,
+        corrected,
+        type: 'style',
+        rule,
+        explanation,
+        source: 'style',
+        ...(replacement === null ? { manual: true } : {})
+    };
+}
+
+// An ellipsis trails off rather than ending the sentence
+function isSentenceStart(text, index) {
+    return /(?:^|\n|(?<!\.)[.!?]\s+)(?:[-–—]\s*)?["“«]?$/.test(text.slice(0, index));
+}
+
+const RULES = [
+    {
+        id: 'ellipsis',
+        setting: 'ellipsis',
+        validate: value => ['character', 'dots'].includes(value) || 'must be "character" or "dots"',
+        prompt: value => (value === 'character'
+            ? 'Use the ellipsis character "…", never three dots.'
+            : 'Use three dots "...", never the ellipsis character.'),
+        check(cue, value) {
+            const pattern = value === 'character' ? /(?<!\.)\.{3}(?!\.)/g : /…/g;
+            const replacement = value === 'character' ? '…' : '...';
+            return [...cue.text.matchAll(pattern)].map(match =>
+                correction('ellipsis', cue, match.index, match.index + match[0].length, replacement,
+                    `House style: ${value === 'character' ? 'ellipsis character' : 'three dots'}`));
+        }
+    },
+    {
+        id: 'numbers',
+        setting: 'spellOutNumbersTo',
+        validate: value => (Number.isInteger(value) && value >= 0) || 'must be a whole number',
+        prompt: value => `Spell out whole numbers from zero to ${value}; write larger numbers as digits.`,
+        check(cue, value, language) {
+            const words = NUMBER_WORDS[language ? language.split('-')[0] : 'en'];
+            // Not part of a time, date, amount, decimal or code
+            const pattern = /(?<![\p{L}\p{N}.,:/#$€£¥-])\d+(?![\p{L}\p{N}%°]|[.,:/]\p{N})/gu;
+            return [...cue.text.matchAll(pattern)]
+                .filter(match => Number(match[0]) <= value)
+                .map((match) => {
+                    const word = words && words[Number(match[0])];
+                    const replacement = word && isSentenceStart(cue.text, match.index)
+                        ? word[0].toUpperCase() + word.slice(1)
+                        : word || null;
+                    return correction('numbers', cue, match.index, match.index + match[0].length, replacement,
+                        `House style: spell out numbers up to ${value}`);
+                });
+        }
+    },
+    {
+        id: 'speaker-dash',
+        setting: 'speakerDash',
+        validate: value => (typeof value === 'string' && /^[-–—]\s?$/.test(value)) || 'must be a dash, optionally followed by a space',
+        prompt: value => `In dialogue, start each speaker's line with "${value}".`,
+        check(cue, value) {
+            const found = [];
+            let offset = 0;
+            for (const line of cue.text.split('\n')) {
+                const dash = line.match(SPEAKER_DASH);
+                if (dash && dash[0] !== value) {
+                    found.push(correction('speaker-dash', cue, offset, offset + dash[0].length, value,
+                        `House style: speaker lines start with "${value}"`));
+                }
+                offset += line.length + 1;
+            }
+            return found;
+        }
+    },
+    {
+        id: 'offscreen-italics',
+        setting: 'offScreenMarkers',
+        validate: value => (Array.isArray(value) && value.every(marker => typeof marker === 'string' && marker)) || 'must be a list of markers',
+        // Cue text reaches the model without markup, so italics are not in the prompt
+        prompt: () => null,
+        check(cue, markers) {
+            if (ITALICS.test(cue.raw || '')) return [];
+            const marker = markers.find(candidate => cue.text.includes(candidate));
+            if (!marker) return [];
+            const index = cue.text.indexOf(marker);
+            return [correction('offscreen-italics', cue, index, index + marker.length, null,
+                'House style: off-screen voices are set in italics')];
+        }
+    },
+    {
+        id: 'quotes',
+        setting: 'quotes',
+        validate: value => Boolean(QUOTES[value]) || `must be one of ${Object.keys(QUOTES).join(', ')}`,
+        prompt: value => `Quote with ${QUOTES[value][0]}…${QUOTES[value][1]} (${value} quotes).`,
+        check(cue, value) {
+            const [open, close] = QUOTES[value];
+            const others = Object.values(QUOTES).filter(([o, c]) => o !== open || c !== close);
+            const found = [];
+            for (const [otherOpen, otherClose] of others) {
+                const pattern = new RegExp(`${escapeRegExp(otherOpen)}([^\\n${escapeRegExp(otherOpen + otherClose)}]+)${escapeRegExp(otherClose)}`, 'g');
+                for (const match of cue.text.matchAll(pattern)) {
+                    found.push(correction('quotes', cue, match.index, match.index + match[0].length,
+                        `${open}${match[1]}${close}`, `House style: ${value} quotes`));
+                }
+            }
+            return found;
+        }
+    },
+    {
+        id: 'forbidden-words',
+        setting: 'forbiddenWords',
+        validate: value => (Array.isArray(value) ? value.every(word => typeof word === 'string')
+            : value !== null && typeof value === 'object' && Object.values(value).every(to => to === null || typeof to === 'string'))
+            || 'must be a list of words or an object of words and replacements (null for none)',
+        prompt: (value) => {
+            const words = Array.isArray(value) ? value.map(word => [word, null]) : Object.entries(value);
+            return `Never use these words: ${words.map(([word, to]) => (to ? `"${word}" (use "${to}")` : `"${word}"`)).join(', ')}.`;
+        },
+        check(cue, value) {
+            const words = Array.isArray(value) ? value.map(word => [word, null]) : Object.entries(value);
+            const found = [];
+            for (const [word, to] of words) {
+                for (const match of cue.text.matchAll(termPattern(word))) {
+                    const replacement = to === null ? null : matchCase(match[0], to);
+                    found.push(correction('forbidden-words', cue, match.index, match.index + match[0].length, replacement,
+                        `House style: "${word}" is not used${to ? `, use "${to}"` : ''}`));
+                }
+            }
+            return found;
+        }
+    }
+];
+
+class StyleGuide {
+    constructor(name, settings) {
+        this.name = name;
+        this.settings = settings;
+    }
+
+    rules() {
+        return RULES.filter(rule => this.settings[rule.setting] !== undefined);
+    }
+
+    promptSection() {
+        const lines = this.rules()
+            .map(rule => ({ id: rule.id, text: rule.prompt(this.settings[rule.setting]) }))
+            .filter(({ text }) => text);
+        if (lines.length === 0) return '';
+
+        return [
+            `House style (${this.name}):`,
+            ...lines.map(({ id, text }) => `- ${text} [${id}]`),
+            'Return a break of these rules as a correction with "type": "style" and the id in brackets as "rule".'
+        ].join('\n');
+    }
+
+    // Style corrections for every cue, in cue order
+    check(cues, language) {
+        const corrections = [];
+        for (const cue of cues) {
+            for (const rule of this.rules()) {
+                corrections.push(...rule.check(cue, this.settings[rule.setting], language).filter(Boolean));
+            }
+        }
+        return corrections;
+    }
+}
+
+// A JSON style profile; unknown settings and bad values are errors so a typo
+// does not silently turn a rule off
+async function loadStyleGuide(profilePath) {
+    const resolved = path.resolve(profilePath);
+    if (!await fs.pathExists(resolved)) {
+        throw new Error(`Style profile not found: ${profilePath}`);
+    }
+
+    const { name, ...settings } = await fs.readJson(resolved);
+    for (const [key, value] of Object.entries(settings)) {
+        const rule = RULES.find(candidate => candidate.setting === key);
+        if (!rule) {
+            throw new Error(`Style profile ${profilePath}: unknown setting "${key}" (known: ${RULES.map(r => r.setting).join(', ')})`);
+        }
+        const valid = rule.validate(value);
+        if (valid !== true) {
+            throw new Error(`Style profile ${profilePath}: "${key}" ${valid}`);
+        }
+    }
+    return new StyleGuide(name || path.basename(resolved, path.extname(resolved)), settings);
+}
+
+module.exports = {
+    RULES,
+    StyleGuide,
+    loadStyleGuide
+};
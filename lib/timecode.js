@@ -0,0 +1,37 @@
+// Timestamp helpers shared by the subtitle format parsers
+
+// Clock time as used by VTT (00:01.000, 00:00:01.000), SRT (00:00:01,000),
+// ASS (0:00:01.00) and TTML (00:00:01.000)
+const CLOCK_TIME = /^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/;
+
+// TTML offset time (1.5s, 1500ms, 2m, 1h)
+const OFFSET_TIME = /^(\d+(?:\.\d+)?)(h|m|s|ms)$/;
+
+const OFFSET_UNITS = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+
+// Returns the timestamp in milliseconds, or null when it cannot be parsed
+function parseTimestamp(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.trim();
+
+    const clock = trimmed.match(CLOCK_TIME);
+    if (clock) {
+        const [, hours = '0', minutes, seconds, fraction = '0'] = clock;
+        if (parseInt(minutes, 10) > 59 || parseInt(seconds, 10) > 59) return null;
+        return parseInt(hours, 10) * 3600000 +
+            parseInt(minutes, 10) * 60000 +
+            parseInt(seconds, 10) * 1000 +
+            parseInt(fraction.padEnd(3, '0'), 10);
+    }
+
+    const offset = trimmed.match(OFFSET_TIME);
+    if (offset) {
+        return Math.round(parseFloat(offset[1]) * OFFSET_UNITS[offset[2]]);
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseTimestamp
+};
@@ -0,0 +1,141 @@
+// Checks on model responses and on every correction before it may be written
+
+const DEFAULT_ALLOWED_TYPES = ['spelling', 'grammar', 'style'];
+const DEFAULT_MAX_EDIT_DISTANCE = 30;
+const DEFAULT_MAX_LENGTH_CHANGE = 20;
+
+// Cue text reaches the model without timing, headers or markup, so none of
+// these may appear in a correction
+const TIMING_PATTERN = /-->|\b\d{1,2}:\d{2}(?::\d{2})?[.,]\d{2,3}\b/;
+const HEADER_PATTERN = /^\s*(?:WEBVTT\b|NOTE\b|STYLE\b|REGION\b|\[(?:Script Info|V4\+? Styles|Events)\]|(?:Dialogue|Comment|Format|Style):)/m;
+const MARKUP_PATTERN = /<\/?[a-zA-Z][^>]*>|\{\\[^}]*\}|\\[Nnh]|&(?:#\d+|#x[0-9a-fA-F]+|[a-zA-Z]+);/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Problems with the overall shape of a parsed response; an empty list means usable
+function validateResponse(response) {
+    if (!isPlainObject(response)) {
+        return ['response is not a JSON object'];
+    }
+
+    const problems = [];
+    if (!Array.isArray(response.corrections)) {
+        problems.push(response.corrections === undefined ? 'missing "corrections" array' : '"corrections" is not an array');
+    }
+    if (response.analysis !== undefined && typeof response.analysis !== 'string') {
+        problems.push('"analysis" is not a string');
+    }
+    if (response.summary !== undefined) {
+        if (!isPlainObject(response.summary)) {
+            problems.push('"summary" is not an object');
+        } else {
+            for (const field of ['spellingErrors', 'grammarErrors']) {
+                const value = response.summary[field];
+                if (value !== undefined && typeof value !== 'number') {
+                    problems.push(`"summary.${field}" is not a number`);
+                }
+            }
+        }
+    }
+    return problems;
+}
+
+// Reason a single correction is malformed, or null
+function checkShape(correction) {
+    if (!isPlainObject(correction)) return 'not an object';
+    const { cue } = correction;
+    const numeric = typeof cue === 'number' || (typeof cue === 'string' && cue.trim() !== '');
+    if (!numeric || !Number.isInteger(Number(cue))) return 'missing cue number';
+    if (typeof correction.original !== 'string' || correction.original.length === 0) return 'missing original text';
+    if (typeof correction.corrected !== 'string') return 'missing corrected text';
+    if (typeof correction.type !== 'string' || correction.type.length === 0) return 'missing type';
+    return null;
+}
+
+// Split a response's corrections into well-formed ones and rejected ones with a reason
+function partitionCorrections(corrections) {
+    const valid = [];
+    const rejected = [];
+    for (const correction of corrections) {
+        const reason = checkShape(correction);
+        if (reason) {
+            rejected.push({ ...(isPlainObject(correction) ? correction : { original: String(correction) }), reason: `malformed correction: ${reason}` });
+        } else {
+            valid.push(correction);
+        }
+    }
+    return { valid, rejected };
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Safety limits a correction has to pass before it is applied
+class CorrectionGuard {
+    constructor({ allowedTypes, maxEditDistance, maxLengthChange } = {}) {
+        this.allowedTypes = allowedTypes && allowedTypes.length > 0 ? allowedTypes : DEFAULT_ALLOWED_TYPES;
+        this.maxEditDistance = maxEditDistance !== undefined ? maxEditDistance : DEFAULT_MAX_EDIT_DISTANCE;
+        this.maxLengthChange = maxLengthChange !== undefined ? maxLengthChange : DEFAULT_MAX_LENGTH_CHANGE;
+    }
+
+    // Reason the correction is unsafe, or null when it may be applied
+    check(correction) {
+        const shape = checkShape(correction);
+        if (shape) return `malformed correction: ${shape}`;
+
+        const { original, corrected, type } = correction;
+        if (!this.allowedTypes.includes(type)) {
+            return `type "${type}" is not one of ${this.allowedTypes.join(', ')}`;
+        }
+        // A style finding has to say which house style rule it enforces
+        if (type === 'style' && (typeof correction.rule !== 'string' || correction.rule.length === 0)) {
+            return 'style correction names no rule';
+        }
+        if (original === corrected) return 'does not change anything';
+        if (TIMING_PATTERN.test(original) || TIMING_PATTERN.test(corrected)) return 'touches cue timing';
+        if (HEADER_PATTERN.test(original) || HEADER_PATTERN.test(corrected)) return 'touches a file header';
+        if (MARKUP_PATTERN.test(original) || MARKUP_PATTERN.test(corrected)) return 'touches markup';
+
+        const lengthChange = Math.abs(corrected.length - original.length);
+        if (lengthChange > this.maxLengthChange) {
+            return `changes the length by ${lengthChange} characters (limit ${this.maxLengthChange})`;
+        }
+        const distance = editDistance(original, corrected);
+        if (distance > this.maxEditDistance) {
+            return `edit distance ${distance} is over the limit of ${this.maxEditDistance}`;
+        }
+        return null;
+    }
+
+    filter(corrections) {
+        const accepted = [];
+        const rejected = [];
+        for (const correction of corrections) {
+            const reason = this.check(correction);
+            if (reason) rejected.push({ ...correction, reason });
+            else accepted.push(correction);
+        }
+        return { accepted, rejected };
+    }
+}
+
+module.exports = {
+    DEFAULT_ALLOWED_TYPES,
+    CorrectionGuard,
+    validateResponse,
+    partitionCorrections,
+    editDistance,
+    isPlainObject
+};
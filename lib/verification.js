@@ -0,0 +1,95 @@
+const { isPlainObject } = require('./validation');
+
+// Second opinions on the model's corrections before any of them is written:
+//
+//   consensus   the same cues also go to every --verify-models model, and a
+//               correction's confidence is the share of models that proposed it
+//   confirm     the model that proposed the corrections is asked about each
+//               one again and rates it from 0 to 1
+//
+// Corrections below the minimum confidence are not applied but reported as
+// suggestions for review. Only the model's corrections are scored; dictionary,
+// glossary and house style corrections follow fixed rules and are not.
+const VERIFY_MODES = ['consensus', 'confirm'];
+
+// With two models both have to agree, with three or more a majority
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+function round(confidence) {
+    return Math.round(confidence * 100) / 100;
+}
+
+// Corrections agree when they leave their cue reading the same, so "recieve"
+// and "I recieve" both corrected to the same words are one proposal
+function proposalKey(correction, cueTexts) {
+    const cue = Number(correction.cue);
+    const text = cueTexts.get(cue);
+    if (text !== undefined && text.includes(correction.original)) {
+        return `${cue}|${text.replace(correction.original, () => correction.corrected)}`;
+    }
+    return `${cue}|${correction.original}|${correction.corrected}`;
+}
+
+// analyses: one per model for the same cues, the checking model's first. A
+// model that could not answer counts as disagreeing, so a failed request can
+// never let a correction through.
+function scoreByConsensus(analyses, models, cues) {
+    const cueTexts = new Map(cues.map(cue => [cue.cue, cue.text]));
+    const proposals = new Map();
+
+    analyses.forEach((analysis, i) => {
+        if (analysis.status !== 'success') return;
+        for (const correction of analysis.corrections || []) {
+            const key = proposalKey(correction, cueTexts);
+            if (!proposals.has(key)) proposals.set(key, { correction, voters: new Set() });
+            proposals.get(key).voters.add(i);
+        }
+    });
+
+    return [...proposals.values()].map(({ correction, voters }) => ({
+        ...correction,
+        confidence: round(voters.size / models.length),
+        agreedBy: [...voters].sort((a, b) => a - b).map(i => models[i])
+    }));
+}
+
+// Problems with a confirmation reply: { "verdicts": [{ "id", "confidence", "reason" }] }
+function validateVerdicts(response) {
+    if (!isPlainObject(response)) return ['response is not a JSON object'];
+    if (!Array.isArray(response.verdicts)) {
+        return [response.verdicts === undefined ? 'missing "verdicts" array' : '"verdicts" is not an array'];
+    }
+    return [];
+}
+
+// Corrections are numbered from 1 in the confirmation prompt. One the model
+// did not rate, or rated with something other than a number, is unconfirmed.
+function scoreByConfirmation(corrections, verdicts) {
+    const byId = new Map(verdicts.filter(isPlainObject).map(verdict => [Number(verdict.id), verdict]));
+
+    return corrections.map((correction, i) => {
+        const verdict = byId.get(i + 1);
+        if (!verdict || typeof verdict.confidence !== 'number' || Number.isNaN(verdict.confidence)) {
+            return { ...correction, confidence: 0, verdict: 'not confirmed' };
+        }
+        return {
+            ...correction,
+            confidence: round(Math.min(1, Math.max(0, verdict.confidence))),
+            verdict: typeof verdict.reason === 'string' ? verdict.reason : null
+        };
+    });
+}
+
+// Every correction unconfirmed, when the confirmation request itself failed
+function unconfirmed(corrections, reason) {
+    return corrections.map(correction => ({ ...correction, confidence: 0, verdict: `not confirmed: ${reason}` }));
+}
+
+module.exports = {
+    VERIFY_MODES,
+    DEFAULT_MIN_CONFIDENCE,
+    scoreByConsensus,
+    validateVerdicts,
+    scoreByConfirmation,
+    unconfirmed
+};
@@ -1,597 +1,377 @@
-const fs = require('fs-extra');
 const path = require('path');
-const axios = require('axios');
 const chalk = require('chalk');
-const crypto = require('crypto');
+const formats = require('./lib/formats');
+const { SubtitleChecker } = require('./lib/checker');
+const { StateLockError } = require('./lib/state');
+const { GitError } = require('./lib/git');
+const { CliError, parseArgs, environmentOptions } = require('./lib/cli');
+const { attachConsole, attachQuietConsole, printBanner, printReport, printFindings, printEstimate, printHistory } = require('./lib/console-output');
+const { JobService, createServer } = require('./lib/server');
 
-// Semaphore class to control concurrency
-class Semaphore {
-    constructor(max) {
-        this.max = max;
-        this.current = 0;
-        this.waiting = [];
+// Command-line wrapper around the library in lib/: parses the arguments,
+// prints the checker's events and turns results into exit codes
+
+// Usage instructions
+function showUsage() {
+    console.log(chalk.blue('📚 SUBTITLE CHECKER USAGE'));
+    console.log(chalk.blue('═'.repeat(25)));
+    console.log(chalk.white('node subtitle-checker.js [command] [options] [paths...]\n'));
+    console.log(chalk.white('1. Set your OpenRouter API key (or pick another provider, see below):'));
+    console.log(chalk.gray('   export OPENROUTER_API_KEY="your-api-key-here"'));
+    console.log(chalk.white('\n2. Pass subtitle files, folders or globs, or place files in the "subtitles" folder'));
+    console.log(chalk.gray(`   Supported: ${formats.supportedExtensions().join(', ')}`));
+    console.log(chalk.white('3. Run the checker:'));
+    console.log(chalk.gray('   npm start'));
+    console.log(chalk.gray('   # or'));
+    console.log(chalk.gray('   node subtitle-checker.js'));
+    console.log(chalk.white('\n🧭 Commands:'));
+    console.log(chalk.gray('   fix                      Check files and write corrections (default)'));
+    console.log(chalk.gray('   check                    Check files and report, never modify them'));
+    console.log(chalk.gray('   pre-commit               Check the staged subtitles, fail on findings (git hook)'));
+    console.log(chalk.gray('   report                   Show the report of the last run from the state file'));
+    console.log(chalk.gray('   undo                     Revert the most recent fix or apply-patch run'));
+    console.log(chalk.gray('   restore [--run <id>]     Roll files, or a whole run, back to an earlier version'));
+    console.log(chalk.gray('   history                  List backup runs and the files they changed'));
+    console.log(chalk.gray('   apply-patch <file>       Apply a reviewed patch (refused if a file changed since)'));
+    console.log(chalk.gray('   serve                    Run the local HTTP job service (see "Job Service" below)'));
+    console.log(chalk.white('\n📂 Paths:'));
+    console.log(chalk.gray('   Files, folders (searched recursively) and quoted globs such as "episodes/**/*.srt".'));
+    console.log(chalk.gray('   Without paths the "subtitles" folder in the current directory is checked.'));
+    console.log(chalk.white('\n🌿 Git:'));
+    console.log(chalk.gray('   --since <rev|range>      Only subtitles changed since a revision, e.g. origin/main...HEAD'));
+    console.log(chalk.gray('   --staged                 Only subtitles staged for the next commit (check only)'));
+    console.log(chalk.gray('   --all-cues               Check every cue of a changed file, not only the changed cues'));
+    console.log(chalk.white('\n📈 Performance Options:'));
+    console.log(chalk.gray('   --force, -f              Force reprocess all files (ignore cache)'));
+    console.log(chalk.gray('   --concurrency, -c <n>    Concurrent processing limit (default: 3)        [MAX_CONCURRENCY]'));
+    console.log(chalk.gray('   --state <file>           State file (default: .subtitle-checker-state.json) [STATE_FILE]'));
+    console.log(chalk.gray('   --chunk-tokens <n>       Prompt token budget per window of cues (default: 1500) [CHUNK_TOKENS]'));
+    console.log(chalk.gray('   --retries <n>            Retries for timeouts, 429 and 5xx (default: 3)      [MAX_RETRIES]'));
+    console.log(chalk.gray('   --rate-limit <n>         Max requests per minute across all files           [RATE_LIMIT_RPM]'));
+    console.log(chalk.gray('   --no-cache               Ignore the on-disk response cache'));
+    console.log(chalk.gray('   --cache-dir <dir>        Response cache location                            [CACHE_DIR]'));
+    console.log(chalk.gray('   --chunk-overlap <n>      Context cues shared between windows (default: 2)    [CHUNK_OVERLAP]'));
+    console.log(chalk.white('\n💰 Tokens and Cost:'));
+    console.log(chalk.gray('   --estimate               Print the projected tokens and cost, call no API'));
+    console.log(chalk.gray('   --max-file-tokens <n>    Skip files estimated above this many tokens      [MAX_FILE_TOKENS]'));
+    console.log(chalk.gray('   --max-run-tokens <n>     Stop sending files once the run would pass this  [MAX_RUN_TOKENS]'));
+    console.log(chalk.gray('   --pricing <file>         JSON prices per million tokens, by model         [PRICING_FILE]'));
+    console.log(chalk.white('\n🤖 Provider Options:'));
+    console.log(chalk.gray('   --provider <name>        openrouter (default), openai or mock  [LLM_PROVIDER]'));
+    console.log(chalk.gray('   --model <name>           Model to use with the provider        [LLM_MODEL]'));
+    console.log(chalk.gray('   --base-url <url>         OpenAI-compatible server URL          [LLM_BASE_URL]'));
+    console.log(chalk.gray('   --temperature <n>        Sampling temperature (default: 0.1)   [LLM_TEMPERATURE]'));
+    console.log(chalk.gray('   --max-tokens <n>         Completion token limit (default: 2000) [LLM_MAX_TOKENS]'));
+    console.log(chalk.gray('   --mock-dir <dir>         Canned responses for the mock provider [MOCK_RESPONSES_DIR]'));
+    console.log(chalk.white('\n📖 Offline Dictionary Options:'));
+    console.log(chalk.gray('   --spellcheck-only        Hunspell dictionary check only, no model or API key'));
+    console.log(chalk.gray('   --spellcheck             Dictionary check as a first pass before the model'));
+    console.log(chalk.gray('   --dictionaries <dir>     Folder with .aff/.dic files (default: dictionaries) [DICTIONARY_DIR]'));
+    console.log(chalk.gray('   --dictionary-language <l> Dictionary for every file (default: the file language) [DICTIONARY_LANG]'));
+    console.log(chalk.white('\n🌐 Language:'));
+    console.log(chalk.gray('   --language, -l <code>    Language when the filename and header name none  [SUBTITLE_LANGUAGE]'));
+    console.log(chalk.gray('   episode01.fr.vtt         A language suffix in the filename always wins'));
+    console.log(chalk.white('\n🛡️  Glossary:'));
+    console.log(chalk.gray('   --glossary <file>        Global glossary (default: ./glossary.txt)       [GLOSSARY_FILE]'));
+    console.log(chalk.gray('   glossary.txt             Per-folder glossary, merged from the input folder down'));
+    console.log(chalk.white('\n⏱️  Timing and Layout QC:'));
+    console.log(chalk.gray('   --qc                     Check reading speed, line length, overlaps and timing'));
+    console.log(chalk.gray('   --qc-profile <name|file> default, netflix, bbc or a JSON file of thresholds [QC_PROFILE]'));
+    console.log(chalk.white('\n🎨 House Style:'));
+    console.log(chalk.gray('   --style-profile <file>   JSON style rules, fixed where safe and added to the prompt [STYLE_PROFILE]'));
+    console.log(chalk.white('\n🔗 Across Files:'));
+    console.log(chalk.gray('   --consistency            Compare spellings of names across files and parallel language tracks'));
+    console.log(chalk.gray('   --max-drift <ms>         Timing difference allowed between parallel tracks (default: 500) [MAX_DRIFT_MS]'));
+    console.log(chalk.white('\n📑 Report Options:'));
+    console.log(chalk.gray('   --report <formats>       Comma-separated: json, junit, sarif, html       [REPORT_FORMATS]'));
+    console.log(chalk.gray('   --report-dir <dir>       Where reports are written (default: reports)    [REPORT_DIR]'));
+    console.log(chalk.gray('   Exit code: 0 clean, 1 spelling, grammar or QC issues left unfixed, 2 a file could not be processed'));
+    console.log(chalk.white('\n📝 Review Options:'));
+    console.log(chalk.gray('   --dry-run                Leave files untouched, write a diff per file to patches/'));
+    console.log(chalk.gray('   --patch <file>           Dry run that writes one combined patch file'));
+    console.log(chalk.gray('   --output-dir, -o <dir>   Write corrected copies there, leave the originals untouched'));
+    console.log(chalk.white('\n🚫 Safety Checks:'));
+    console.log(chalk.gray('   --allowed-types <list>   Correction types that may be applied (default: spelling,grammar,style) [ALLOWED_TYPES]'));
+    console.log(chalk.gray('   --max-edit-distance <n>  Largest edit one correction may make (default: 30) [MAX_EDIT_DISTANCE]'));
+    console.log(chalk.gray('   --max-length-change <n>  Most characters a correction may add or remove (default: 20) [MAX_LENGTH_CHANGE]'));
+    console.log(chalk.gray('   --backup-dir <dir>       Backup runs (default: .subtitle-checker-backups) [BACKUP_DIR]'));
+    console.log(chalk.white('\n🗳️  Verification:'));
+    console.log(chalk.gray('   --verify <mode>          consensus (ask more models) or confirm (ask the model again) [VERIFY_MODE]'));
+    console.log(chalk.gray('   --verify-models <list>   Comma-separated models for consensus, same provider [VERIFY_MODELS]'));
+    console.log(chalk.gray('   --min-confidence <0-1>   Confidence a correction needs to be applied (default: 0.6) [MIN_CONFIDENCE]'));
+    console.log(chalk.gray('                            Corrections below it are listed as suggestions for review'));
+    console.log(chalk.white('\n🌐 Job Service (serve):'));
+    console.log(chalk.gray('   --host <address>         Address to listen on (default: 127.0.0.1)        [SERVER_HOST]'));
+    console.log(chalk.gray('   --port <n>               Port to listen on (default: 8080)                [SERVER_PORT]'));
+    console.log(chalk.gray('   --jobs-dir <dir>         Uploads, corrected files and jobs.json (default: .subtitle-checker-jobs) [JOBS_DIR]'));
+    console.log(chalk.white('\n💡 Smart Features:'));
+    console.log(chalk.gray('   • Only processes new or modified files'));
+    console.log(chalk.gray('   • Parallel processing for faster execution'));
+    console.log(chalk.gray('   • State tracking to avoid duplicate work'));
+    console.log(chalk.gray('   • Versioned backups of every run, with undo and restore\n'));
+    console.log(chalk.white('Examples:'));
+    console.log(chalk.gray('   node subtitle-checker.js check episodes/              # Report only, recursively'));
+    console.log(chalk.gray('   node subtitle-checker.js fix "season1/**/*.srt" -c 5  # Process 5 files at once'));
+    console.log(chalk.gray('   node subtitle-checker.js --force                      # Reprocess all files'));
+    console.log(chalk.gray('   node subtitle-checker.js check episodes/ --estimate   # What a run would cost'));
+    console.log(chalk.gray('   node subtitle-checker.js --patch review.patch         # Propose fixes for review'));
+    console.log(chalk.gray('   node subtitle-checker.js apply-patch review.patch     # Apply the reviewed fixes'));
+    console.log(chalk.gray('   node subtitle-checker.js check --since origin/main... # What a branch changed, in CI'));
+    console.log(chalk.gray('   node subtitle-checker.js serve --port 8080            # Accept jobs over HTTP'));
+    console.log(chalk.gray('   node subtitle-checker.js --provider openai --model qwen2.5:7b  # Local Ollama server\n'));
+}
+
+// HTTP job service: every job goes through one checker in fix mode that
+// writes corrected copies below the jobs folder, never over an upload
+async function serve(options) {
+    const jobsDir = path.resolve(options.jobsDir || '.subtitle-checker-jobs');
+    const host = options.host || '127.0.0.1';
+    const port = options.port !== undefined ? options.port : 8080;
+
+    const checker = attachConsole(new SubtitleChecker({
+        ...options,
+        command: 'fix',
+        dryRun: false,
+        patch: null,
+        outputDir: path.join(jobsDir, 'corrected')
+    }));
+    console.log(chalk.blue('🔍 Starting Subtitle Checker job service'));
+    console.log(chalk.gray(`Using ${checker.provider.describe()} with ${checker.maxConcurrency} concurrent jobs\n`));
+    if (!await prepare(checker)) {
+        return;
     }
 
-    acquire() {
-        return new Promise((resolve) => {
-            if (this.current < this.max) {
-                this.current++;
-                resolve(() => this.release());
-            } else {
-                this.waiting.push(() => {
-                    this.current++;
-                    resolve(() => this.release());
-                });
-            }
+    const service = new JobService({ checker, jobsDir, concurrency: checker.maxConcurrency });
+    service.on('jobs-loaded', ({ jobs, requeued }) => {
+        console.log(chalk.gray(`📄 Loaded ${jobs} jobs, ${requeued} queued again`));
+    });
+    service.on('job-created', ({ job }) => {
+        console.log(chalk.cyan(`📥 Job ${job.id}: ${job.mode} ${job.filename}`));
+    });
+    service.on('warning', ({ message }) => {
+        console.log(chalk.yellow(`⚠️  ${message}`));
+    });
+    service.on('failure', ({ message, error }) => {
+        console.error(chalk.red(`❌ ${message}:`), error.message);
+    });
+    await service.load();
+
+    const server = createServer(service);
+    try {
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, resolve);
         });
+    } catch (error) {
+        console.error(chalk.red(`❌ Could not listen on ${host}:${port}:`), error.message);
+        process.exitCode = 2;
+        return;
     }
+    console.log(chalk.green(`🌐 Listening on http://${host}:${port} (jobs in ${path.relative(process.cwd(), jobsDir) || '.'})`));
+    console.log(chalk.gray('   POST /jobs?mode=check|fix&filename=<name>   GET /jobs/<id>   GET /jobs/<id>/file\n'));
+}
 
-    release() {
-        this.current--;
-        if (this.waiting.length > 0) {
-            const next = this.waiting.shift();
-            next();
-        }
+// A QC or style profile or a pricing file that cannot be loaded stops the run before any file is read
+async function prepare(checker) {
+    try {
+        await checker.prepare();
+        return true;
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 2;
+        return false;
     }
 }
 
-class SubtitleChecker {
-    constructor() {
-        this.subtitlesDir = path.join(__dirname, 'subtitles');
-        this.stateFile = path.join(__dirname, '.subtitle-checker-state.json');
-        this.openrouterApiUrl = 'https://openrouter.ai/api/v1/chat/completions';
-        this.apiKey = process.env.OPENROUTER_API_KEY || '';
-        this.results = [];
-        this.fixedFiles = [];
-        this.maxConcurrency = parseInt(process.env.MAX_CONCURRENCY) || 3; // Process up to 3 files simultaneously
-        this.forceReprocess = process.argv.includes('--force') || process.argv.includes('-f');
-        this.state = {};
+async function checkFiles(checker) {
+    printBanner(checker);
+    if (!await prepare(checker)) {
+        return;
     }
 
-    async init() {
-        console.log(chalk.blue('🔍 Starting Subtitle Spell & Grammar Checker'));
-        console.log(chalk.gray(`Using OpenRouter AI models with ${this.maxConcurrency} concurrent requests\n`));
-
-        if (!this.apiKey) {
-            console.log(chalk.yellow('⚠️  Warning: OPENROUTER_API_KEY environment variable not set.'));
-            console.log(chalk.gray('Please set your OpenRouter API key: export OPENROUTER_API_KEY="your-api-key"\n'));
-        }
-
-        // Load previous processing state
-        await this.loadState();
-
-        // Check if subtitles directory exists
-        if (!await fs.pathExists(this.subtitlesDir)) {
-            console.log(chalk.red(`❌ Subtitles directory not found: ${this.subtitlesDir}`));
-            console.log(chalk.gray('Creating subtitles directory...'));
-            await fs.ensureDir(this.subtitlesDir);
-            console.log(chalk.green('✅ Subtitles directory created. Please add VTT files to check.\n'));
-            return;
-        }
-
-        await this.processVTTFiles();
-        await this.saveState();
-        this.generateReport();
+    const report = await checker.run();
+    if (!report) {
+        return;
     }
+    printReport(checker);
+    process.exitCode = checker.getExitCode();
+}
 
-    async loadState() {
-        try {
-            if (await fs.pathExists(this.stateFile)) {
-                this.state = await fs.readJson(this.stateFile);
-                console.log(chalk.gray(`📄 Loaded processing state for ${Object.keys(this.state).length} files`));
-            } else {
-                this.state = {};
-            }
-        } catch (error) {
-            console.log(chalk.yellow('⚠️  Could not load state file, starting fresh'));
-            this.state = {};
-        }
+// Staged subtitles before a commit, as one file:line line per finding; any
+// finding exits with 1, which stops the commit
+async function preCommit(checker) {
+    if (!await prepare(checker)) {
+        return;
     }
 
-    async saveState() {
-        try {
-            await fs.writeJson(this.stateFile, this.state, { spaces: 2 });
-        } catch (error) {
-            console.error(chalk.red('❌ Error saving state:'), error.message);
-        }
+    const report = await checker.run();
+    printFindings(checker);
+    // A skipped file was not checked, so the hook cannot let it through
+    const skipped = report.files.some(file => file.status === 'skipped');
+    process.exitCode = skipped ? 2 : checker.getExitCode();
+    if (skipped) {
+        console.log(chalk.gray('Fix what kept them from being checked, or commit with --no-verify to skip the check'));
+    } else if (process.exitCode === 1) {
+        console.log(chalk.gray('Fix them and stage the files again, or commit with --no-verify to skip the check'));
     }
+}
 
-    async getFileHash(filePath) {
-        try {
-            const content = await fs.readFile(filePath);
-            return crypto.createHash('md5').update(content).digest('hex');
-        } catch (error) {
-            return null;
-        }
+async function estimateFiles(checker) {
+    if (!await prepare(checker)) {
+        return;
     }
 
-    async shouldProcessFile(filename, filePath) {
-        if (this.forceReprocess) {
-            return { should: true, reason: 'forced reprocessing' };
-        }
-
-        try {
-            const stats = await fs.stat(filePath);
-            const currentHash = await this.getFileHash(filePath);
-            const fileState = this.state[filename];
-
-            if (!fileState) {
-                return { should: true, reason: 'new file' };
-            }
-
-            if (fileState.hash !== currentHash) {
-                return { should: true, reason: 'file modified' };
-            }
-
-            return { should: false, reason: 'already processed and unchanged' };
-        } catch (error) {
-            return { should: true, reason: 'error checking file state' };
-        }
+    const estimate = await checker.estimateRun();
+    if (estimate) {
+        printEstimate(estimate);
     }
+}
 
-    async processVTTFiles() {
-        try {
-            const files = await fs.readdir(this.subtitlesDir);
-            const vttFiles = files.filter(file => file.endsWith('.vtt'));
-
-            if (vttFiles.length === 0) {
-                console.log(chalk.yellow('⚠️  No VTT files found in the subtitles directory.'));
-                return;
-            }
-
-            console.log(chalk.green(`📁 Found ${vttFiles.length} VTT files to check:\n`));
-
-            // Check which files need processing
-            const filesToProcess = [];
-            const skippedFiles = [];
-
-            for (const file of vttFiles) {
-                const filePath = path.join(this.subtitlesDir, file);
-                const shouldProcess = await this.shouldProcessFile(file, filePath);
-                
-                if (shouldProcess.should) {
-                    filesToProcess.push({ filename: file, reason: shouldProcess.reason });
-                } else {
-                    skippedFiles.push({ filename: file, reason: shouldProcess.reason });
-                }
-            }
-
-            // Show processing plan
-            if (skippedFiles.length > 0) {
-                console.log(chalk.gray(`⏭️  Skipping ${skippedFiles.length} unchanged files:`));
-                for (const { filename, reason } of skippedFiles) {
-                    console.log(chalk.gray(`   • ${filename} (${reason})`));
-                }
-                console.log();
-            }
-
-            if (filesToProcess.length === 0) {
-                console.log(chalk.green('✨ All files are up to date! Use --force to reprocess all files.\n'));
-                return;
-            }
-
-            console.log(chalk.cyan(`🔄 Processing ${filesToProcess.length} files with ${this.maxConcurrency} concurrent requests:`));
-            for (const { filename, reason } of filesToProcess) {
-                console.log(chalk.cyan(`   • ${filename} (${reason})`));
-            }
-            console.log();
-
-            // Process files in parallel with controlled concurrency
-            await this.processFilesInParallel(filesToProcess.map(f => f.filename));
+async function applyPatch(checker, patchPath) {
+    console.log(chalk.blue(`🩹 Applying reviewed patch: ${patchPath}\n`));
+    const result = await checker.applyPatchFile(patchPath);
 
-        } catch (error) {
-            console.error(chalk.red('❌ Error reading subtitles directory:'), error.message);
+    if (result.refused) {
+        console.log(chalk.red('❌ Patch refused, no files were modified:'));
+        for (const { filename, reason } of result.refused) {
+            console.log(chalk.red(`   • ${filename}: ${reason}`));
         }
+    } else if (result.applied.length === 0) {
+        console.log(chalk.yellow('⚠️  The patch does not contain any changes.'));
+    } else {
+        console.log(chalk.green(`\n✨ Patch applied to ${result.applied.length} files`));
     }
+    return result;
+}
 
-    async processFilesInParallel(filenames) {
-        const semaphore = new Semaphore(this.maxConcurrency);
-        const promises = filenames.map(filename => 
-            semaphore.acquire().then(async (release) => {
-                try {
-                    await this.checkVTTFile(filename);
-                } finally {
-                    release();
-                }
-            })
-        );
-
-        await Promise.all(promises);
+async function restore(checker) {
+    if (!checker.restoreRun && checker.usingDefaultInputs) {
+        console.log(chalk.yellow('⚠️  Name the files to restore, or pick a run with --run <id>:\n'));
+        printHistory(await checker.listHistory());
+        return { success: false };
     }
 
-    async checkVTTFile(filename) {
-        const filePath = path.join(this.subtitlesDir, filename);
-        
-        try {
-            console.log(chalk.cyan(`🔍 Checking: ${filename}`));
-            
-            const content = await fs.readFile(filePath, 'utf8');
-            const subtitleText = this.extractTextFromVTT(content);
-            
-            if (!subtitleText || subtitleText.trim().length === 0) {
-                console.log(chalk.yellow(`   ⚠️  No text content found in ${filename}\n`));
-                return;
-            }
-
-            const analysis = await this.analyzeWithOpenRouter(subtitleText, filename);
-            
-            // Update state
-            const fileHash = await this.getFileHash(filePath);
-            this.state[filename] = {
-                hash: fileHash,
-                lastProcessed: new Date().toISOString(),
-                hasErrors: analysis.corrections && analysis.corrections.length > 0
-            };
-            
-            // If analysis was successful and contains corrections, apply them
-            if (analysis.status === 'success' && analysis.corrections && analysis.corrections.length > 0) {
-                const fixResult = await this.applyCorrections(filePath, content, analysis.corrections, filename);
-                this.results.push({
-                    filename,
-                    analysis,
-                    originalLength: subtitleText.length,
-                    fixResult
-                });
-                
-                // Update hash after corrections
-                if (fixResult.success && fixResult.changesCount > 0) {
-                    this.state[filename].hash = await this.getFileHash(filePath);
-                    this.state[filename].hasErrors = false;
-                    console.log(chalk.green(`   ✅ Analysis complete - ${fixResult.changesCount} corrections applied\n`));
-                } else {
-                    console.log(chalk.green(`   ✅ Analysis complete\n`));
-                }
-            } else {
-                this.results.push({
-                    filename,
-                    analysis,
-                    originalLength: subtitleText.length
-                });
-                console.log(chalk.green(`   ✅ Analysis complete\n`));
-            }
-
-        } catch (error) {
-            console.error(chalk.red(`   ❌ Error processing ${filename}:`), error.message);
-            this.results.push({
-                filename,
-                error: error.message
-            });
-        }
+    const result = await checker.restoreFiles();
+    if (result.error) {
+        console.log(chalk.red(`❌ ${result.error}, see: node subtitle-checker.js history`));
+        return result;
     }
-
-    extractTextFromVTT(vttContent) {
-        // Parse VTT content and extract subtitle text
-        const lines = vttContent.split('\n');
-        const textLines = [];
-        let isTextLine = false;
-
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-            
-            // Skip VTT header
-            if (trimmedLine === 'WEBVTT') continue;
-            
-            // Skip timestamp lines (format: 00:00:00.000 --> 00:00:00.000)
-            if (trimmedLine.match(/^\d{2}:\d{2}:\d{2}\.\d{3}\s*-->\s*\d{2}:\d{2}:\d{2}\.\d{3}/)) {
-                isTextLine = true;
-                continue;
-            }
-            
-            // Skip empty lines and cue identifiers
-            if (trimmedLine === '' || trimmedLine.match(/^\d+$/)) {
-                isTextLine = false;
-                continue;
-            }
-            
-            // Extract subtitle text
-            if (isTextLine && trimmedLine.length > 0) {
-                // Remove VTT formatting tags
-                const cleanText = trimmedLine
-                    .replace(/<[^>]*>/g, '') // Remove HTML/VTT tags
-                    .replace(/&lt;/g, '<')
-                    .replace(/&gt;/g, '>')
-                    .replace(/&amp;/g, '&')
-                    .trim();
-                
-                if (cleanText.length > 0) {
-                    textLines.push(cleanText);
-                }
-            }
-        }
-
-        return textLines.join(' ');
+    for (const filename of result.missing) {
+        console.log(chalk.yellow(`   ⚠️  ${filename}: no backup to restore`));
     }
+    console.log(chalk.green(`\n✨ Restored ${result.restored.length} files`));
+    return result;
+}
 
-    async analyzeWithOpenRouter(text, filename) {
-        if (!this.apiKey) {
-            return {
-                status: 'skipped',
-                message: 'API key not provided'
-            };
+async function undo(checker) {
+    const result = await checker.undoLastRun();
+    if (result.error) {
+        console.log(chalk.yellow(`⚠️  ${result.error}`));
+    } else if (result.modified) {
+        console.log(chalk.red('❌ Undo refused, these files changed after the run (use --force to undo anyway):'));
+        for (const filename of result.modified) {
+            console.log(chalk.red(`   • ${filename}`));
         }
-
-        try {
-            const prompt = `Please analyze the following subtitle text for spelling and grammar mistakes and provide corrections.
-
-IMPORTANT: Structure your response as JSON with this exact format:
-{
-  "summary": {
-    "spellingErrors": number,
-    "grammarErrors": number,
-    "overallQuality": "description"
-  },
-  "corrections": [
-    {
-      "original": "exact text to replace",
-      "corrected": "corrected text",
-      "type": "spelling|grammar",
-      "explanation": "brief explanation"
+    } else {
+        console.log(chalk.green(`\n✨ Undid run ${result.run.id}, restored ${result.restored.length} files`));
     }
-  ],
-  "analysis": "detailed analysis text"
+    return result;
 }
 
-If no errors are found, return an empty corrections array.
-
-Subtitle text to analyze:
-"${text}"`;
-
-            const response = await axios.post(this.openrouterApiUrl, {
-                model: "deepseek/deepseek-r1-0528-qwen3-8b",
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are an expert proofreader and grammar checker. Analyze text for spelling and grammar mistakes, providing detailed feedback and suggestions."
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                temperature: 0.1,
-                max_tokens: 2000
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 30000
-            });
-
-            const responseContent = response.data.choices[0].message.content;
-            
-            // Try to parse JSON response
-            let parsedResponse;
-            try {
-                // Extract JSON from response if it's wrapped in markdown
-                const jsonMatch = responseContent.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-                const jsonString = jsonMatch ? jsonMatch[1] : responseContent;
-                parsedResponse = JSON.parse(jsonString);
-            } catch (parseError) {
-                console.log(chalk.yellow(`   ⚠️  Could not parse structured response, using raw analysis`));
-                return {
-                    status: 'success',
-                    analysis: responseContent,
-                    usage: response.data.usage,
-                    corrections: []
-                };
-            }
-
-            return {
-                status: 'success',
-                analysis: parsedResponse.analysis || responseContent,
-                summary: parsedResponse.summary,
-                corrections: parsedResponse.corrections || [],
-                usage: response.data.usage
-            };
-
-        } catch (error) {
-            console.error(chalk.red(`   ❌ OpenRouter API error for ${filename}:`), error.message);
-            
-            if (error.response) {
-                console.error(chalk.red('   API Response:'), error.response.status, error.response.data);
-            }
-            
-            return {
-                status: 'error',
-                message: error.message
-            };
-        }
+// Main execution
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof CliError)) throw error;
+        console.error(chalk.red(`❌ ${error.message}`));
+        console.error(chalk.gray('Run with --help to see the available commands and options.'));
+        process.exitCode = 2;
+        return;
     }
 
-    async applyCorrections(filePath, originalContent, corrections, filename) {
-        try {
-            let modifiedContent = originalContent;
-            let changesCount = 0;
-            const appliedChanges = [];
-
-            console.log(chalk.cyan(`   🔧 Applying ${corrections.length} corrections to ${filename}...`));
-
-            // Apply corrections one by one
-            for (const correction of corrections) {
-                const originalText = correction.original;
-                const correctedText = correction.corrected;
-                
-                if (modifiedContent.includes(originalText)) {
-                    modifiedContent = modifiedContent.replace(originalText, correctedText);
-                    changesCount++;
-                    appliedChanges.push({
-                        original: originalText,
-                        corrected: correctedText,
-                        type: correction.type,
-                        explanation: correction.explanation
-                    });
-                    console.log(chalk.gray(`     • ${correction.type}: "${originalText}" → "${correctedText}"`));
-                }
-            }
-
-            if (changesCount > 0) {
-                // Create backup of original file
-                const backupPath = filePath.replace('.vtt', '.vtt.backup');
-                await fs.copy(filePath, backupPath);
-                
-                // Write corrected content
-                await fs.writeFile(filePath, modifiedContent, 'utf8');
-                
-                this.fixedFiles.push({
-                    filename,
-                    changesCount,
-                    appliedChanges,
-                    backupPath
-                });
-
-                console.log(chalk.green(`     ✅ ${changesCount} corrections applied, backup saved as ${path.basename(backupPath)}`));
-            }
+    // Show usage if help is requested
+    if (args.options.help) {
+        showUsage();
+        return;
+    }
 
-            return {
-                success: true,
-                changesCount,
-                appliedChanges
-            };
+    const { command, paths } = args;
+    const options = { ...environmentOptions(process.env), ...args.options };
 
-        } catch (error) {
-            console.error(chalk.red(`     ❌ Error applying corrections to ${filename}:`), error.message);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+    try {
+        await runCommand(command, paths, options);
+    } catch (error) {
+        if (!(error instanceof StateLockError || error instanceof GitError)) throw error;
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 2;
     }
+}
 
-    generateReport() {
-        console.log(chalk.blue('\n📊 SUBTITLE CHECKING REPORT'));
-        console.log(chalk.blue('═'.repeat(50)));
+async function runCommand(command, paths, options) {
+    if (command === 'serve') {
+        await serve(options);
+        return;
+    }
 
-        if (this.results.length === 0) {
-            console.log(chalk.yellow('No files were processed.'));
+    if (command === 'apply-patch') {
+        if (paths.length !== 1) {
+            console.error(chalk.red('❌ apply-patch expects exactly one patch file'));
+            process.exitCode = 2;
             return;
         }
-
-        let successCount = 0;
-        let errorCount = 0;
-
-        for (const result of this.results) {
-            console.log(chalk.cyan(`\n📄 File: ${result.filename}`));
-            console.log(chalk.gray('─'.repeat(30)));
-
-            if (result.error) {
-                console.log(chalk.red(`❌ Error: ${result.error}`));
-                errorCount++;
-            } else if (result.analysis.status === 'skipped') {
-                console.log(chalk.yellow(`⏭️  Skipped: ${result.analysis.message}`));
-            } else if (result.analysis.status === 'success') {
-                console.log(chalk.green('✅ Analysis Results:'));
-                
-                // Show summary if available
-                if (result.analysis.summary) {
-                    console.log(chalk.white(`📊 Summary:`));
-                    console.log(chalk.white(`   • Spelling errors: ${result.analysis.summary.spellingErrors || 0}`));
-                    console.log(chalk.white(`   • Grammar errors: ${result.analysis.summary.grammarErrors || 0}`));
-                    console.log(chalk.white(`   • Quality: ${result.analysis.summary.overallQuality || 'N/A'}`));
-                }
-                
-                // Show corrections applied
-                if (result.fixResult && result.fixResult.success && result.fixResult.changesCount > 0) {
-                    console.log(chalk.cyan(`\n🔧 Corrections Applied (${result.fixResult.changesCount}):`));
-                    for (const change of result.fixResult.appliedChanges) {
-                        console.log(chalk.white(`   • ${change.type}: "${change.original}" → "${change.corrected}"`));
-                        if (change.explanation) {
-                            console.log(chalk.gray(`     ${change.explanation}`));
-                        }
-                    }
-                } else if (result.analysis.corrections && result.analysis.corrections.length === 0) {
-                    console.log(chalk.green(`\n✨ No errors found - text is already correct!`));
-                }
-                
-                console.log(chalk.white(`\n📝 Detailed Analysis:`));
-                console.log(chalk.white(result.analysis.analysis));
-                
-                if (result.analysis.usage) {
-                    console.log(chalk.gray(`\nTokens used: ${result.analysis.usage.total_tokens}`));
-                }
-                successCount++;
-            } else {
-                console.log(chalk.red(`❌ Analysis failed: ${result.analysis.message}`));
-                errorCount++;
-            }
-        }
-
-        console.log(chalk.blue('\n📈 SUMMARY'));
-        console.log(chalk.blue('─'.repeat(20)));
-        console.log(chalk.green(`✅ Successfully analyzed: ${successCount} files`));
-        console.log(chalk.red(`❌ Errors encountered: ${errorCount} files`));
-        console.log(chalk.gray(`📁 Total files processed: ${this.results.length}`));
-
-        // Show summary of fixes
-        if (this.fixedFiles.length > 0) {
-            const totalCorrections = this.fixedFiles.reduce((sum, file) => sum + file.changesCount, 0);
-            console.log(chalk.cyan(`\n🔧 CORRECTIONS APPLIED`));
-            console.log(chalk.cyan('─'.repeat(25)));
-            console.log(chalk.white(`📝 Files corrected: ${this.fixedFiles.length}`));
-            console.log(chalk.white(`🔄 Total corrections: ${totalCorrections}`));
-            
-            console.log(chalk.gray('\n📋 Fixed files:'));
-            for (const fixedFile of this.fixedFiles) {
-                console.log(chalk.white(`   • ${fixedFile.filename}: ${fixedFile.changesCount} corrections`));
-                console.log(chalk.gray(`     Backup: ${path.basename(fixedFile.backupPath)}`));
-            }
-            
-            console.log(chalk.yellow('\n💡 Note: Original files have been backed up with .backup extension'));
-        } else {
-            console.log(chalk.green(`\n✨ No corrections needed - all files are already error-free!`));
-        }
+        const checker = attachConsole(new SubtitleChecker({ ...options, command }));
+        const result = await applyPatch(checker, paths[0]);
+        if (!result.success) process.exitCode = 1;
+        return;
     }
-}
 
-// Usage instructions
-function showUsage() {
-    console.log(chalk.blue('📚 SUBTITLE CHECKER USAGE'));
-    console.log(chalk.blue('═'.repeat(25)));
-    console.log(chalk.white('1. Set your OpenRouter API key:'));
-    console.log(chalk.gray('   export OPENROUTER_API_KEY="your-api-key-here"'));
-    console.log(chalk.white('\n2. Place VTT files in the "subtitles" folder'));
-    console.log(chalk.white('3. Run the checker:'));
-    console.log(chalk.gray('   npm start'));
-    console.log(chalk.gray('   # or'));
-    console.log(chalk.gray('   node subtitle-checker.js'));
-    console.log(chalk.white('\n📈 Performance Options:'));
-    console.log(chalk.gray('   --force, -f              Force reprocess all files (ignore cache)'));
-    console.log(chalk.gray('   MAX_CONCURRENCY=N        Set concurrent processing limit (default: 3)'));
-    console.log(chalk.white('\n💡 Smart Features:'));
-    console.log(chalk.gray('   • Only processes new or modified files'));
-    console.log(chalk.gray('   • Parallel processing for faster execution'));
-    console.log(chalk.gray('   • State tracking to avoid duplicate work'));
-    console.log(chalk.gray('   • Automatic backup creation before corrections\n'));
-    console.log(chalk.white('Examples:'));
-    console.log(chalk.gray('   MAX_CONCURRENCY=5 node subtitle-checker.js    # Process 5 files at once'));
-    console.log(chalk.gray('   node subtitle-checker.js --force              # Reprocess all files\n'));
-}
-
-// Main execution
-async function main() {
-    // Show usage if help is requested
-    if (process.argv.includes('--help') || process.argv.includes('-h')) {
-        showUsage();
+    if (command === 'pre-commit') {
+        const checker = attachQuietConsole(new SubtitleChecker({ ...options, command: 'check', staged: true, paths }));
+        await preCommit(checker);
         return;
     }
 
-    const checker = new SubtitleChecker();
-    await checker.init();
+    const checker = attachConsole(new SubtitleChecker({ ...options, command, paths }));
+
+    if (command === 'report') {
+        await checker.reportFromState();
+        printReport(checker);
+        process.exitCode = checker.getExitCode();
+    } else if (command === 'restore') {
+        const result = await restore(checker);
+        if (!result.success) process.exitCode = 1;
+    } else if (command === 'undo') {
+        const result = await undo(checker);
+        if (!result.success) process.exitCode = 1;
+    } else if (command === 'history') {
+        printHistory(await checker.listHistory());
+    } else if (options.estimate) {
+        await estimateFiles(checker);
+    } else {
+        await checkFiles(checker);
+    }
 }
 
-// Handle uncaught errors
-process.on('unhandledRejection', (error) => {
-    console.error(chalk.red('❌ Unhandled error:'), error);
-    process.exit(1);
-});
-
-process.on('SIGINT', () => {
-    console.log(chalk.yellow('\n⏹️  Process interrupted by user'));
-    process.exit(0);
-});
+// Requiring this file only exposes main(); the library itself is index.js
+if (require.main === module) {
+    // Handle uncaught errors
+    process.on('unhandledRejection', (error) => {
+        console.error(chalk.red('❌ Unhandled error:'), error);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', () => {
+        console.log(chalk.yellow('\n⏹️  Process interrupted by user'));
+        process.exit(0);
+    });
+
+    // Run the script
+    main().catch((error) => {
+        console.error(chalk.red('❌ Script failed:'), error);
+        process.exit(1);
+    });
+}
 
-// Run the script
-main().catch((error) => {
-    console.error(chalk.red('❌ Script failed:'), error);
-    process.exit(1);
-}); 
\ No newline at end of file
+module.exports = { main };
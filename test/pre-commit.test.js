@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { SubtitleChecker } = require('../lib/checker');
+
+const run = promisify(execFile);
+const CLI = path.join(__dirname, '..', 'subtitle-checker.js');
+
+const SUBTITLE = [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:03.000',
+    'Hello there.',
+    '',
+    '00:00:04.000 --> 00:00:06.000',
+    'See you tomorrow.',
+    ''
+].join('\n');
+
+// What the mock provider answers for every window
+const RESPONSE = {
+    summary: { spellingErrors: 1, grammarErrors: 0, overallQuality: 'good' },
+    corrections: [{ cue: 2, original: 'tomorow', corrected: 'tomorrow', type: 'spelling', explanation: 'missing r' }],
+    analysis: 'One misspelling.'
+};
+
+async function git(cwd, ...args) {
+    return (await run('git', args, { cwd })).stdout;
+}
+
+// A repository with a committed subtitle file and a typo staged in its second cue
+async function createRepository() {
+    const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'subtitle-checker-test-'));
+    await git(cwd, 'init', '--quiet');
+    await git(cwd, 'config', 'user.email', 'test@example.com');
+    await git(cwd, 'config', 'user.name', 'Test');
+    await fs.outputFile(path.join(cwd, 'episodes', 'ep01.en.vtt'), SUBTITLE);
+    await git(cwd, 'add', '.');
+    await git(cwd, 'commit', '--quiet', '-m', 'Add subtitles');
+
+    await fs.outputFile(path.join(cwd, 'episodes', 'ep01.en.vtt'), SUBTITLE.replace('tomorrow', 'tomorow'));
+    await git(cwd, 'add', '.');
+
+    const mockDir = await fs.mkdtemp(path.join(os.tmpdir(), 'subtitle-checker-mock-'));
+    await fs.writeJson(path.join(mockDir, 'default.json'), RESPONSE);
+    return { cwd, mockDir };
+}
+
+async function removeRepository({ cwd, mockDir }) {
+    await fs.remove(cwd);
+    await fs.remove(mockDir);
+}
+
+test('pre-commit prints staged findings as file:line:column and exits with 1', async (t) => {
+    const repository = await createRepository();
+    t.after(() => removeRepository(repository));
+
+    const env = { ...process.env, LLM_PROVIDER: 'mock', MOCK_RESPONSES_DIR: repository.mockDir, FORCE_COLOR: '0' };
+    const error = await run(process.execPath, [CLI, 'pre-commit'], { cwd: repository.cwd, env }).then(() => null, error => error);
+
+    assert.ok(error, 'pre-commit should fail on a finding');
+    assert.strictEqual(error.code, 1);
+    assert.match(error.stdout, /^episodes\/ep01\.en\.vtt:7:9: spelling: "tomorow" → "tomorrow" \(missing r\)$/m);
+    assert.strictEqual(await git(repository.cwd, 'status', '--porcelain'), 'M  episodes/ep01.en.vtt\n');
+});
+
+test('pre-commit exits with 2 when a staged file was skipped instead of checked', async (t) => {
+    const repository = await createRepository();
+    t.after(() => removeRepository(repository));
+
+    const env = { ...process.env, LLM_PROVIDER: 'openrouter', FORCE_COLOR: '0' };
+    delete env.OPENROUTER_API_KEY;
+    const error = await run(process.execPath, [CLI, 'pre-commit'], { cwd: repository.cwd, env }).then(() => null, error => error);
+
+    assert.ok(error, 'pre-commit should fail when nothing was checked');
+    assert.strictEqual(error.code, 2);
+    assert.match(error.stdout, /^episodes\/ep01\.en\.vtt: skipped: API key not provided$/m);
+    assert.match(error.stdout, /1 of 1 staged subtitle files were skipped, not checked/);
+    assert.doesNotMatch(error.stdout, /No issues/);
+});
+
+test('a staged check runs in the repository given as cwd', async (t) => {
+    const repository = await createRepository();
+    t.after(() => removeRepository(repository));
+
+    const checker = new SubtitleChecker({
+        command: 'check',
+        staged: true,
+        provider: 'mock',
+        mockDir: repository.mockDir,
+        cwd: repository.cwd
+    });
+    const report = await checker.run();
+
+    assert.deepStrictEqual(report.files.map(file => file.filename), ['episodes/ep01.en.vtt']);
+    assert.deepStrictEqual(
+        report.files[0].findings.map(finding => [finding.line, finding.column, finding.corrected]),
+        [[7, 9, 'tomorrow']]
+    );
+    assert.strictEqual(checker.getExitCode(), 1);
+    assert.strictEqual(await fs.pathExists(path.join(repository.cwd, '.subtitle-checker-state.json')), false);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { SubtitleChecker } = require('../lib/checker');
+
+const SUBTITLE = [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:03.000',
+    'Helo there.',
+    ''
+].join('\n');
+
+const VALID_REPLY = JSON.stringify({
+    corrections: [{ cue: 1, original: 'Helo', corrected: 'Hello', type: 'spelling', explanation: 'missing l' }],
+    analysis: 'One misspelling.'
+});
+
+// A project folder with one subtitle file and the mock provider's reply
+async function createProject(reply) {
+    const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'subtitle-checker-test-'));
+    await fs.outputFile(path.join(cwd, 'subtitles', 'ep01.en.vtt'), SUBTITLE);
+    if (reply !== undefined) {
+        await fs.outputFile(path.join(cwd, 'mock', 'default.txt'), reply);
+    }
+    return cwd;
+}
+
+// An OpenAI-compatible server that sends the replies in turn, repeating the
+// last one; `requests` counts what reached it
+async function startModel(replies) {
+    const model = { requests: 0 };
+    model.server = http.createServer((request, response) => {
+        request.resume();
+        request.on('end', () => {
+            const content = replies[Math.min(model.requests, replies.length - 1)];
+            model.requests++;
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({
+                model: 'fake',
+                choices: [{ message: { content } }],
+                usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+            }));
+        });
+    });
+    await new Promise(resolve => model.server.listen(0, '127.0.0.1', resolve));
+    model.baseUrl = `http://127.0.0.1:${model.server.address().port}/v1`;
+    return model;
+}
+
+function check(cwd, options = {}) {
+    const checker = new SubtitleChecker({ command: 'check', provider: 'mock', mockDir: 'mock', cwd, ...options });
+    checker.on('failure', () => {}); // Failures are asserted on the report
+    return checker;
+}
+
+test('a reply that is not JSON fails the file and is not recorded as checked', async (t) => {
+    const cwd = await createProject('Sure! The subtitles look fine to me.');
+    t.after(() => fs.remove(cwd));
+
+    const checker = check(cwd);
+    const report = await checker.run();
+
+    assert.strictEqual(report.files[0].status, 'error');
+    assert.match(report.files[0].message, /not JSON/);
+    assert.strictEqual(checker.getExitCode(), 2);
+    assert.deepStrictEqual(await fs.readJson(path.join(cwd, '.subtitle-checker-state.json')), {});
+});
+
+test('a reply without a corrections array fails the file', async (t) => {
+    const cwd = await createProject(JSON.stringify({ analysis: 'Looks fine.' }));
+    t.after(() => fs.remove(cwd));
+
+    const checker = check(cwd);
+    const report = await checker.run();
+
+    assert.strictEqual(report.files[0].status, 'error');
+    assert.match(report.files[0].message, /expected format.*corrections/);
+    assert.strictEqual(checker.getExitCode(), 2);
+});
+
+test('unsafe corrections are rejected with a reason and not applied', async (t) => {
+    const cwd = await createProject(JSON.stringify({
+        corrections: [
+            { cue: 1, original: 'Helo', corrected: 'Hello', type: 'spelling' },
+            { cue: 1, original: '00:00:01.000 --> 00:00:03.000', corrected: '00:00:01.500 --> 00:00:03.000', type: 'grammar' },
+            { cue: 1, original: 'there', corrected: 'their', type: 'translation' }
+        ],
+        analysis: 'Two issues.'
+    }));
+    t.after(() => fs.remove(cwd));
+
+    const report = await check(cwd, { command: 'fix' }).run();
+
+    const [file] = report.files;
+    assert.deepStrictEqual(file.applied.map(change => change.corrected), ['Hello']);
+    assert.strictEqual(file.rejected.length, 2);
+    assert.ok(file.rejected.every(correction => typeof correction.reason === 'string' && correction.reason.length > 0));
+    assert.match(await fs.readFile(path.join(cwd, 'subtitles', 'ep01.en.vtt'), 'utf8'), /^00:00:01\.000 --> 00:00:03\.000\nHello there\.$/m);
+});
+
+test('a malformed reply is asked for again instead of being replayed from the cache', async (t) => {
+    const cwd = await createProject();
+    const model = await startModel([JSON.stringify({ corrections: 'oops' }), VALID_REPLY]);
+    t.after(async () => {
+        model.server.close();
+        await fs.remove(cwd);
+    });
+    const options = { provider: 'openai', baseUrl: model.baseUrl, model: 'fake', retries: 0 };
+
+    const first = await check(cwd, options).run();
+    assert.strictEqual(first.files[0].status, 'error');
+    assert.strictEqual(model.requests, 1);
+
+    const second = await check(cwd, options).run();
+    assert.strictEqual(second.files[0].status, 'success');
+    assert.strictEqual(model.requests, 2);
+
+    // The reply that could be read is cached
+    const third = await check(cwd, { ...options, force: true }).run();
+    assert.strictEqual(third.files[0].status, 'success');
+    assert.strictEqual(third.files[0].cached, true);
+    assert.strictEqual(model.requests, 2);
+});
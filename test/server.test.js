@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { SubtitleChecker } = require('../lib/checker');
+const { JobService, createServer } = require('../lib/server');
+
+const SUBTITLE = [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:03.000',
+    'Helo there.',
+    ''
+].join('\n');
+
+const VALID_REPLY = JSON.stringify({
+    corrections: [{ cue: 1, original: 'Helo', corrected: 'Hello', type: 'spelling', explanation: 'missing l' }],
+    analysis: 'One misspelling.'
+});
+
+// A job service on a free port, set up the way the serve command does it
+async function startService(cwd, options = {}) {
+    const jobsDir = path.join(cwd, 'jobs');
+    const checker = new SubtitleChecker({
+        provider: 'mock',
+        mockDir: 'mock',
+        cwd,
+        ...options,
+        command: 'fix',
+        outputDir: path.join(jobsDir, 'corrected')
+    });
+    await checker.prepare();
+
+    const service = new JobService({ checker, jobsDir, concurrency: 2 });
+    service.on('failure', () => {}); // Failed jobs are asserted on their status
+    await service.load();
+    const server = createServer(service);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { service, server, jobsDir, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+// An OpenAI-compatible server that bills every request `tokens` tokens
+async function startModel(tokens) {
+    const server = http.createServer((request, response) => {
+        request.resume();
+        request.on('end', () => {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({
+                model: 'fake',
+                choices: [{ message: { content: VALID_REPLY } }],
+                usage: { prompt_tokens: tokens - 100, completion_tokens: 100, total_tokens: tokens }
+            }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, baseUrl: `http://127.0.0.1:${server.address().port}/v1` };
+}
+
+async function createProject(reply) {
+    const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'subtitle-checker-test-'));
+    await fs.outputFile(path.join(cwd, 'mock', 'default.txt'), reply);
+    return cwd;
+}
+
+async function submit(url, query) {
+    const response = await fetch(`${url}/jobs?${new URLSearchParams(query)}`, { method: 'POST', body: SUBTITLE });
+    assert.strictEqual(response.status, 202);
+    return response.json();
+}
+
+// The job once it is done or failed
+async function finished(url, id) {
+    const deadline = Date.now() + 10000;
+    while (Date.now() < deadline) {
+        const job = await (await fetch(`${url}/jobs/${id}`)).json();
+        if (job.status === 'done' || job.status === 'failed') return job;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Job ${id} did not finish`);
+}
+
+test('a fix job returns the corrected file under its non-ASCII name', async (t) => {
+    const cwd = await createProject(VALID_REPLY);
+    const { server, url } = await startService(cwd);
+    t.after(async () => {
+        server.close();
+        await fs.remove(cwd);
+    });
+
+    const { id } = await submit(url, { mode: 'fix', filename: 'エピソード 1.vtt' });
+    const job = await finished(url, id);
+    assert.strictEqual(job.status, 'done');
+    assert.deepStrictEqual(job.result.applied.map(change => change.corrected), ['Hello']);
+
+    const response = await fetch(`${url}/jobs/${id}/file`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-disposition'),
+        `attachment; filename="_____ 1.vtt"; filename*=UTF-8''${encodeURIComponent('エピソード 1.vtt')}`);
+    assert.match(await response.text(), /^Hello there\.$/m);
+});
+
+test('a job whose reply cannot be read fails', async (t) => {
+    const cwd = await createProject('not a JSON reply');
+    const { server, url } = await startService(cwd);
+    t.after(async () => {
+        server.close();
+        await fs.remove(cwd);
+    });
+
+    const { id } = await submit(url, { mode: 'check', filename: 'ep01.vtt' });
+    const job = await finished(url, id);
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error, /not JSON/);
+});
+
+test('finished jobs are kept in the jobs file and loaded again after a restart', async (t) => {
+    const cwd = await createProject(VALID_REPLY);
+    const first = await startService(cwd);
+    t.after(() => fs.remove(cwd));
+
+    const { id } = await submit(first.url, { mode: 'check', filename: 'ep01.vtt' });
+    await finished(first.url, id);
+    await first.service.saving;
+    first.server.close();
+
+    const records = await fs.readJson(path.join(first.jobsDir, 'jobs.json'));
+    assert.strictEqual(records[id].status, 'done');
+    assert.deepStrictEqual((await fs.readdir(first.jobsDir)).filter(name => name.endsWith('.tmp')), []);
+
+    const second = await startService(cwd);
+    t.after(() => second.server.close());
+    const job = await (await fetch(`${second.url}/jobs/${id}`)).json();
+    assert.strictEqual(job.status, 'done');
+    assert.strictEqual(job.result.findings[0].corrected, 'Hello');
+});
+
+test('every job gets its own token budget', async (t) => {
+    const cwd = await createProject(VALID_REPLY);
+    const model = await startModel(700);
+    // A small file is estimated at about 500 tokens: enough for one job, not for two
+    const { server, url } = await startService(cwd, {
+        provider: 'openai',
+        baseUrl: model.baseUrl,
+        model: 'fake',
+        cache: false,
+        maxRunTokens: 1000
+    });
+    t.after(async () => {
+        server.close();
+        model.server.close();
+        await fs.remove(cwd);
+    });
+
+    const jobs = [];
+    for (const filename of ['ep01.vtt', 'ep02.vtt', 'ep03.vtt']) {
+        jobs.push(await finished(url, (await submit(url, { mode: 'check', filename })).id));
+    }
+    assert.deepStrictEqual(jobs.map(job => job.result.status), ['success', 'success', 'success']);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { SubtitleChecker } = require('../lib/checker');
+
+const SUBTITLE = [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:03.000',
+    'Helo there.',
+    ''
+].join('\n');
+
+const VALID_REPLY = JSON.stringify({
+    corrections: [{ cue: 1, original: 'Helo', corrected: 'Hello', type: 'spelling', explanation: 'missing l' }],
+    analysis: 'One misspelling.'
+});
+
+// A long file, so a small --chunk-tokens splits it into several windows
+function longSubtitle(cues) {
+    const blocks = ['WEBVTT', ''];
+    for (let i = 1; i <= cues; i++) {
+        const time = `00:00:${String(i).padStart(2, '0')}`;
+        blocks.push(`${time}.000 --> ${time}.500`, `Sentence number ${i} with a few more words to fill the window.`, '');
+    }
+    return blocks.join('\n');
+}
+
+async function createProject(subtitle, reply) {
+    const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'subtitle-checker-test-'));
+    await fs.outputFile(path.join(cwd, 'subtitles', 'ep01.en.vtt'), subtitle);
+    if (reply !== undefined) {
+        await fs.outputFile(path.join(cwd, 'mock', 'default.txt'), reply);
+    }
+    return cwd;
+}
+
+// An OpenAI-compatible server that answers every request with no
+// corrections, except the numbered requests in `failing`, which get HTTP 400
+async function startModel(failing) {
+    const model = { requests: 0 };
+    model.server = http.createServer((request, response) => {
+        request.resume();
+        request.on('end', () => {
+            model.requests++;
+            if (failing.includes(model.requests)) {
+                response.writeHead(400, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ error: { message: 'bad request' } }));
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({
+                model: 'fake',
+                choices: [{ message: { content: JSON.stringify({ corrections: [], analysis: 'Fine.' }) } }],
+                usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+            }));
+        });
+    });
+    await new Promise(resolve => model.server.listen(0, '127.0.0.1', resolve));
+    model.baseUrl = `http://127.0.0.1:${model.server.address().port}/v1`;
+    return model;
+}
+
+function check(cwd, options = {}) {
+    const checker = new SubtitleChecker({ command: 'check', provider: 'mock', mockDir: 'mock', cwd, ...options });
+    checker.on('failure', () => {}); // Failures are asserted on the report
+    return checker;
+}
+
+async function readState(cwd) {
+    return fs.readJson(path.join(cwd, '.subtitle-checker-state.json'));
+}
+
+test('a checked file is recorded with its result and skipped while it is unchanged', async (t) => {
+    const cwd = await createProject(SUBTITLE, VALID_REPLY);
+    t.after(() => fs.remove(cwd));
+
+    await check(cwd).run();
+    const state = await readState(cwd);
+    assert.deepStrictEqual(Object.keys(state), ['subtitles/ep01.en.vtt']);
+    assert.strictEqual(state['subtitles/ep01.en.vtt'].hasErrors, true);
+    assert.strictEqual(state['subtitles/ep01.en.vtt'].lastResult.findings[0].corrected, 'Hello');
+
+    const again = await check(cwd).run();
+    assert.deepStrictEqual(again.files, []);
+    assert.deepStrictEqual(again.skipped.map(file => file.filename), ['subtitles/ep01.en.vtt']);
+});
+
+test('a file whose check failed is not recorded and is checked again', async (t) => {
+    const cwd = await createProject(SUBTITLE, 'not a JSON reply');
+    t.after(() => fs.remove(cwd));
+
+    await check(cwd).run();
+    assert.deepStrictEqual(await readState(cwd), {});
+
+    await fs.outputFile(path.join(cwd, 'mock', 'default.txt'), VALID_REPLY);
+    const again = await check(cwd).run();
+    assert.strictEqual(again.files[0].status, 'success');
+    assert.ok((await readState(cwd))['subtitles/ep01.en.vtt']);
+});
+
+test('a file with a window that failed is reported as partly checked and not recorded', async (t) => {
+    const cwd = await createProject(longSubtitle(30));
+    const model = await startModel([2]);
+    t.after(async () => {
+        model.server.close();
+        await fs.remove(cwd);
+    });
+
+    const checker = check(cwd, {
+        provider: 'openai',
+        baseUrl: model.baseUrl,
+        model: 'fake',
+        retries: 0,
+        cache: false,
+        concurrency: 1,
+        chunkTokens: 300
+    });
+    const report = await checker.run();
+
+    const [file] = report.files;
+    assert.ok(model.requests > 2, 'the file should be split into several windows');
+    assert.strictEqual(file.status, 'error');
+    assert.strictEqual(file.partial, true);
+    assert.match(file.message, /^1 of \d+ windows could not be analysed/);
+    assert.strictEqual(checker.getExitCode(), 2);
+    assert.deepStrictEqual(await readState(cwd), {});
+});